@@ -22,916 +22,5770 @@
   /** Assign each dataset an incremental id */
   var datasetId = 0;
 
+  /** URL of this script, to start Web Workers from it */
+  var scriptUrl = (typeof document !== 'undefined' && document.currentScript) ? document.currentScript.src : undefined;
+
+  /** @const {Number} Version of the dataset serialization format */
+  var SERIALIZATION_VERSION = 1;
+
+  /** @const {String} Name of the Web Workers started by computeAsync, which they check before listening */
+  var WORKER_NAME = 'allanjs';
+
   /** @const {Number} Minimum number of samples for an Allan deviation */
   var MIN_SAMPLES = 3;
 
+  /** @const {Number} Default confidence level for error bars (1-sigma) */
+  var CONFIDENCE_LEVEL = 0.683;
+
+  /** @const {Number} Default outlier threshold, in robust standard deviations */
+  var OUTLIER_SIGMA = 5;
+
+  /** @const {Number} Averaging factors per decade in many-tau sequences */
+  var MANY_TAU_DENSITY = 30;
+
+  /** @const {Number} Minimum number of samples for lag-1 autocorrelation noise identification */
+  var ACF_MIN_SAMPLES = 30;
+
+  /** @const {Number} Number of taus at which TheoBR's bias ratio is evaluated */
+  var THEOBR_RATIO_SAMPLES = 16;
+
+  /** @const {Number} Relative size of the smallest pivot accepted by least squares fits */
+  var PIVOT_TOLERANCE = 1e-12;
+
+  /** @const {Number} Relative rounding error of a double (Number.EPSILON) */
+  var EPSILON = 2.220446049250313e-16;
+
+  /** @const {Number} Largest relative error bound accepted from the FFT computation of all-tau variances */
+  var FAST_TOLERANCE = 1e-8;
+
+  /** @const {Object} Estimators of _fastTerms: difference weights, variance divisor and differences of phase sums (times m² in the divisor) */
+  var FAST_ESTIMATORS = {
+    oadev: { w: [1, -2, 1], k: 2, sums: false },
+    ohdev: { w: [-1, 3, -3, 1], k: 6, sums: false },
+    mdev: { w: [-1, 3, -3, 1], k: 2, sums: true }
+  };
+
+  /** @const {Number} Sequences up to this length are correlated directly instead of by FFT */
+  var DIRECT_CORRELATION = 32;
+
+  /** @const {Number} Breakpoints per decade when sampling non power-law mask segments */
+  var MASK_DENSITY = 10;
+
+  /** @const {Object} Phase units in seconds (cycles and radians depend on the nominal frequency) */
+  var PHASE_UNITS = { s: 1, ms: 1e-3, us: 1e-6, '\u00b5s': 1e-6, ns: 1e-9, ps: 1e-12, fs: 1e-15 };
+
+  /** @const {Object} Absolute frequency units in Hz */
+  var FREQ_UNITS = { Hz: 1, mHz: 1e-3, kHz: 1e3, MHz: 1e6, GHz: 1e9 };
+
+  /** @const {Object} Scaled fractional frequency units */
+  var FRACTION_UNITS = { '': 1, fractional: 1, ppm: 1e-6, ppb: 1e-9, ppt: 1e-12 };
+
+  /** @const {Object} Power-law noise labels by alpha exponent */
+  var NOISE_LABELS = {
+    '2': 'White PM',
+    '1': 'Flicker PM',
+    '0': 'White FM',
+    '-1': 'Flicker FM',
+    '-2': 'Random Walk FM'
+  };
+
+  /** @const {Object} MTOTVAR bias factors by alpha exponent (NIST SP 1065, 5.2.12) */
+  var MTOTVAR_BIAS = { '2': 0.94, '1': 0.83, '0': 0.73, '-1': 0.70, '-2': 0.69 };
+
+  /** @const {Object} HTOTVAR bias factors 1 + a by alpha exponent (NIST SP 1065, 5.2.14) */
+  var HTOTVAR_BIAS = { '0': 0.995, '-1': 0.851, '-2': 0.771, '-3': 0.717, '-4': 0.679 };
+
+  /** @const {Object} TOTVAR bias coefficients a, with B = 1 - a·tau/T (NIST SP 1065, 5.2.11) */
+  var TOTVAR_BIAS = { '-1': 0.481, '-2': 0.750 };
+
+  /** @const {Object} Overlapping estimators used for the variance names in Allan.nCorneredHat */
+  var HAT_VARIANCES = { avar: 'oadev', hvar: 'ohdev' };
+
+  /** @const {Object} Dataset getters for each estimator name */
+  var ESTIMATORS = {
+    stdev: 'getStdev',
+    adev: 'getAdev',
+    oadev: 'getOadev',
+    mdev: 'getMdev',
+    tdev: 'getTdev',
+    hdev: 'getHdev',
+    ohdev: 'getOhdev',
+    totdev: 'getTotdev',
+    mtotdev: 'getMtotdev',
+    ttotdev: 'getTtotdev',
+    htotdev: 'getHtotdev',
+    mtie: 'getMtie',
+    tierms: 'getTierms',
+    theo1: 'getTheo1',
+    theobr: 'getTheobr',
+    theoh: 'getTheoh'
+  };
+
+  /** @const {Object} Spectral windows w(i) for segments of length L */
+  var WINDOWS = {
+    rectangular: function () { return 1; },
+    hann: function (i, L) { return 0.5 - 0.5 * Math.cos(2 * Math.PI * i / L); },
+    hamming: function (i, L) { return 0.54 - 0.46 * Math.cos(2 * Math.PI * i / L); },
+    blackman: function (i, L) { return 0.42 - 0.5 * Math.cos(2 * Math.PI * i / L) + 0.08 * Math.cos(4 * Math.PI * i / L); }
+  };
+
+  /** @const {Object} Labels and units of each spectral density */
+  var SPECTRA = {
+    x: { label: 'S_x(f)', units: 's²/Hz' },
+    y: { label: 'S_y(f)', units: '1/Hz' },
+    phi: { label: 'S_φ(f)', units: 'rad²/Hz' },
+    L: { label: 'ℒ(f)', units: 'dBc/Hz' }
+  };
+
   /**
-   * The Allan Dataset constructor.
+   * Parses a multi-line data file with one value per line.
    *
-   * @constructor
-   * @param {String} name A name to identify the dataset.
+   * Non-numeric lines between the first and last values are kept as gaps
+   * (NaN) so that the time axis is preserved; headers and trailing lines
+   * are dropped.
+   *
+   * @private
+   * @param {String} text Contents of the data file.
+   * @returns {Array} Array of values.
    */
-  Allan.Dataset = function (name) {
-    this.id = ++datasetId;
-    this.name = name || new Date().toString(); // Asign current date as a fallback name
-    this.x = [];
-    this.y = [];
-    this.values = {
-      xavg: [],
-      xmax: [],
-      xmin: [],
-      yavg: [],
-      ymax: [],
-      ymin: [],
-      stdev: [],
-      adev: [],
-      oadev: [],
-      mdev: [],
-      tdev: [],
-      hdev: [],
-      ohdev: [],
-      totdev: [],
-      mtotdev: [],
-      ttotdev: [],
-      htotdev: []
-    };
-    return this;
+  function parseValues(text) {
+    var a = text.split(/\r\n|\n|\r/),
+        values = [],
+        first = -1,
+        last = -1,
+        n;
+
+    for (var i = 0, len = a.length; i < len; i++) {
+      n = parseFloat(a[i]);
+      values.push(n);
+      if (!isNaN(n)) {
+        first = (first < 0) ? i : first;
+        last = i;
+      }
+    }
+    return (first < 0) ? [] : values.slice(first, last + 1);
+  }
+
+  /**
+   * Parses a multi-line data file, failing if it has no numeric values.
+   *
+   * @private
+   * @param {String} text Contents of the data file.
+   * @param {String} source Name of the file, stream or URL for the error message.
+   * @returns {Array} Array of values (see parseValues).
+   */
+  function parseData(text, source) {
+    var values = parseValues(text);
+
+    if (!values.length) {
+      throw new Error('No numeric data in ' + source);
+    }
+    return values;
+  }
+
+  /** @const {Object} Default settings of each import format */
+  var FORMATS = {
+    auto: {},
+    csv: { delimiter: ',' },
+    stable32: { delimiter: 'whitespace', timeFormat: 'mjd' },
+    timelab: { delimiter: 'whitespace', timeColumn: -1 },
+    counter: {}
   };
 
-  Allan.Dataset.prototype = {
-    id: 0,         // {Number} id of the dataset
-    name: '',      // {String} custom description of the dataset
-    x: [],         // {Array}  array of sequential time-error values
-    y: [],         // {Array}  array of fractional frequency values
-    values: {      // {Object} calculated values of the dataset
-      xavg: [],    // {Array}  array of mean values of the phase data
-      xmax: [],    // {Array}  array of maximum values of the phase data
-      xmin: [],    // {Array}  array of minimum values of the phase data
-      yavg: [],    // {Array}  array of mean values of the frequency data
-      ymax: [],    // {Array}  array of maximum values of the frequency data
-      ymin: [],    // {Array}  array of minimum values of the frequency data
-      stdev: [],   // {Array}  array of standard deviation values
-      adev: [],    // {Array}  array of Allan deviation estimators (non-overlapping)
-      oadev: [],   // {Array}  array of Allan deviation estimators (overlapping)
-      mdev: [],    // {Array}  array of Modified Allan deviation estimators
-      tdev: [],    // {Array}  array of Time deviation estimators
-      hdev: [],    // {Array}  array of Hadamard deviation estimators (non-overlapping)
-      ohdev: [],   // {Array}  array of Hadamard deviation estimators (non-overlapping)
-      totdev: [],  // {Array}  array of Total deviation estimators
-      mtotdev: [], // {Array}  array of Modified Total deviation estimators
-      ttotdev: [], // {Array}  array of Time Total deviation estimators
-      htotdev: []  // {Array}  array of Hadamard Total deviation estimators
-    },	
+  /**
+   * Parses a timestamp into seconds.
+   *
+   * @private
+   * @param {String} cell Timestamp as written in the file.
+   * @param {String} format 'iso' (any date Date.parse understands, UTC if it has no zone), 'mjd' (days) or 'seconds'.
+   * @returns {Number} Timestamp in seconds (NaN if it cannot be read).
+   */
+  function parseTime(cell, format) {
+    var match;
+
+    switch (format) {
+      case 'iso':
+        // Date.parse takes zone-less date-times as local time, which shifts them at DST changes
+        match = /^(\d{4}-\d\d-\d\d)[T ](\d\d:\d\d(:\d\d(\.\d+)?)?)$/.exec(cell);
+        return Date.parse(match ? match[1] + 'T' + match[2] + 'Z' : cell) / 1000;
+      case 'mjd':
+        return parseFloat(cell) * 86400;
+    }
+    return parseFloat(cell);
+  }
+
+  /**
+   * Tells whether a row holds column names: at least one cell, and no
+   * numeric ones (empty cells, as left by trailing delimiters, don't count).
+   *
+   * @private
+   * @param {Array} cells Cells of the row.
+   * @returns {Boolean} Whether the row holds column names.
+   */
+  function isNameRow(cells) {
+    var names = 0;
+
+    for (var i = 0; i < cells.length; i++) {
+      if (!isNaN(parseFloat(cells[i]))) {
+        return false;
+      }
+      names += cells[i] ? 1 : 0;
+    }
+    return names > 0;
+  }
+
+  /**
+   * Parses a multi-column data file: CSV, Stable32 (optional MJD and
+   * value), TimeLab (header lines and one value per line) or counter
+   * logs (headers, comments and timestamped readings).
+   *
+   * Lines starting with #, %, ; or // are comments, and "key: value" or
+   * "key = value" lines before the data are headers. Values may use a
+   * decimal comma when columns are separated by semicolons, tabs or
+   * whitespace. Blank or unreadable lines between values are gaps (NaN),
+   * as in parseValues. Timestamps are placed on a regular grid of tau0
+   * seconds (read from the options, headers or the median timestamp
+   * step), so irregular timestamps leave gaps instead of packing samples
+   * together.
+   *
+   * @private
+   * @param {String} text Contents of the data file.
+   * @param {Object} options See Allan.Dataset.prototype.loadFromText.
+   * @returns {Object} values, type ('phase' or 'freq'), tau0 (undefined if unknown) and metadata.
+   */
+  function parseColumns(text, options) {
+    var lines = text.split(/\r\n|\n|\r/),
+        format = (options.format || 'auto').toLowerCase(),
+        preset = FORMATS[format] || {},
+        delimiter = options.delimiter || preset.delimiter,
+        column = (options.column !== undefined) ? options.column : preset.column,
+        timeColumn = (options.timeColumn !== undefined) ? options.timeColumn : preset.timeColumn,
+        timeFormat = options.timeFormat || preset.timeFormat,
+        type = options.type,
+        tau0 = options.tau0,
+        nominal = options.nominal,
+        headers = {},
+        comments = [],
+        names = [],
+        rows = [],
+        times = [],
+        steps = [],
+        values = [],
+        dropped = 0,
+        gaps = 0,
+        start,
+        origin,
+        f,
+        line,
+        cells,
+        match,
+        slot,
+        last;
+
+    for (var i = 0, len = lines.length; i < len; i++) {
+      line = lines[i].replace(/^\s+|\s+$/g, '');
+      if (!line) {
+        if (rows.length) {
+          rows.push([]); // Blank lines between values are gaps, as in parseValues
+        }
+        continue;
+      }
+      if (/^(#|%|;|\/\/)/.test(line)) {
+        comments.push(line.replace(/^(#|%|;|\/\/)\s*/, ''));
+        continue;
+      }
+      if (!rows.length && (match = /^([A-Za-z][^:=,;\t]*?)\s*[:=]\s*(.*)$/.exec(line)) && !/^\d{4}-\d\d-\d\d/.test(line)) {
+        headers[match[1].toLowerCase()] = match[2];
+        continue;
+      }
+      if (!delimiter) {
+        // Commas next to semicolons or tabs are decimal separators
+        delimiter = (line.indexOf('\t') >= 0) ? '\t' : (line.indexOf(';') >= 0) ? ';' : (line.indexOf(',') >= 0) ? ',' : 'whitespace';
+      }
+      cells = (delimiter === 'whitespace') ? line.split(/\s+/) : line.split(delimiter);
+      for (var j = 0; j < cells.length; j++) {
+        cells[j] = cells[j].replace(/^\s+|\s+$/g, '').replace(/^"(.*)"$/, '$1');
+        if (delimiter !== ',') {
+          cells[j] = cells[j].replace(/^([+-]?\d*),(\d+([eE][+-]?\d+)?)$/, '$1.$2'); // Decimal comma
+        }
+      }
+      if (!rows.length && !names.length && isNameRow(cells)) {
+        names = cells; // Column names row
+        continue;
+      }
+      rows.push(cells);
+    }
+
+    // Data and timestamp columns: the second and first ones if there are more, the only one otherwise
+    if (typeof column === 'string') {
+      for (var j = 0; j < names.length; j++) {
+        if (names[j].toLowerCase() === column.toLowerCase()) {
+          column = j;
+        }
+      }
+      if (typeof column === 'string') {
+        throw new Error('No column named ' + column);
+      }
+    }
+    if (timeColumn === undefined) {
+      timeColumn = (rows.length && rows[0].length > 1 && column !== 0) ? 0 : -1;
+    }
+    if (column === undefined) {
+      column = (timeColumn === 0) ? 1 : 0;
+    }
+    timeColumn = (timeColumn === null) ? -1 : timeColumn;
+
+    // Sample type and interval from the headers
+    for (var key in headers) {
+      if (!type && /type/.test(key) && /freq|phase/i.test(headers[key])) {
+        type = /freq/i.test(headers[key]) ? 'freq' : 'phase';
+      }
+      if (!tau0 && /tau|interval|period/.test(key) && parseFloat(headers[key]) > 0) {
+        tau0 = parseFloat(headers[key]);
+      }
+      if (!nominal && /nominal|input freq/.test(key) && parseFloat(headers[key]) > 0) {
+        nominal = parseFloat(headers[key]);
+      }
+    }
+    type = (type === 'freq' || type === 'frequency') ? 'freq' : 'phase';
+
+    if (timeColumn >= 0 && rows.length) {
+      // Blank lines have no timestamp: the time grid keeps their gaps
+      rows = rows.filter(function (cells) { return cells.length > 0; });
+      if (!timeFormat) {
+        // Guess from the first readable timestamp
+        for (f = 0; f < rows.length - 1 && isNaN(parseFloat(rows[f][timeColumn])); f++) {}
+        timeFormat = /^\d{4}-\d\d-\d\d/.test(rows[f][timeColumn]) ? 'iso' : 'seconds';
+        if (timeFormat === 'seconds' && f + 1 < rows.length && parseFloat(rows[f][timeColumn]) >= 15000 && parseFloat(rows[f][timeColumn]) < 100000 &&
+            Math.abs(parseFloat(rows[f + 1][timeColumn]) - parseFloat(rows[f][timeColumn])) < 1) {
+          timeFormat = 'mjd';
+        }
+      }
+      for (var i = 0; i < rows.length; i++) {
+        times.push(parseTime(rows[i][timeColumn], timeFormat));
+        if (i > 0 && times[i] > times[i - 1]) {
+          steps.push(times[i] - times[i - 1]);
+        }
+        if (origin === undefined && isFinite(times[i])) {
+          origin = times[i];
+        }
+      }
+      // Lower median of the steps, so that gaps do not stretch the sampling interval
+      steps.sort(function (p, q) { return p - q; });
+      tau0 = tau0 || (steps.length ? parseFloat(steps[Math.floor((steps.length - 1) / 2)].toPrecision(12)) : undefined);
+      for (var i = 0; i < rows.length; i++) {
+        slot = tau0 ? Math.round((times[i] - origin) / tau0) : i;
+        if (!isFinite(times[i]) || (last !== undefined && slot <= last)) {
+          dropped++; // Unreadable, repeated or backwards timestamps
+          continue;
+        }
+        while (values.length < slot) {
+          values.push(NaN);
+        }
+        values.push(parseFloat(rows[i][column]));
+        if (start === undefined && !isNaN(values[slot])) {
+          start = rows[i][timeColumn];
+        }
+        last = slot;
+      }
+    } else {
+      for (var i = 0; i < rows.length; i++) {
+        values.push(parseFloat(rows[i][column]));
+      }
+    }
+
+    // Drop leading and trailing samples with no value, keep the rest as gaps
+    for (var first = 0; first < values.length && isNaN(values[first]); first++) {}
+    for (last = values.length - 1; last >= first && isNaN(values[last]); last--) {}
+    values = values.slice(first, last + 1);
+    for (var i = 0; i < values.length; i++) {
+      gaps += isNaN(values[i]) ? 1 : 0;
+    }
+
+    return {
+      values: values,
+      type: type,
+      tau0: tau0,
+      nominal: nominal,
+      metadata: {
+        format: format,
+        type: type,
+        column: column,
+        columnName: names[column],
+        timeColumn: timeColumn,
+        timeFormat: (timeColumn >= 0) ? timeFormat : undefined,
+        start: start,
+        names: names,
+        headers: headers,
+        comments: comments,
+        gaps: gaps,
+        dropped: dropped
+      }
+    };
+  }
+
+  /**
+   * Downloads a text file asynchronously, with XMLHttpRequest in browsers
+   * and fetch elsewhere.
+   *
+   * @private
+   * @param {String} url URL of the file.
+   * @param {Function} onProgress Optional callback, called with the bytes loaded and the total (0 if unknown).
+   * @returns {Promise} Promise of the file contents, rejected on network or HTTP errors.
+   */
+  function fetchText(url, onProgress) {
+    if (typeof XMLHttpRequest !== 'undefined') {
+      return new Promise(function (resolve, reject) {
+        var request = new XMLHttpRequest();
+
+        request.open('GET', url, true);
+        request.onprogress = function (e) {
+          if (onProgress) {
+            onProgress(e.loaded, e.lengthComputable ? e.total : 0);
+          }
+        };
+        request.onload = function () {
+          if (request.status >= 200 && request.status < 300 || request.status === 0 && request.responseText) {
+            resolve(request.responseText);
+          } else {
+            reject(new Error('HTTP ' + request.status + ' ' + request.statusText + ' loading ' + url));
+          }
+        };
+        request.onerror = function () {
+          reject(new Error('Network error loading ' + url));
+        };
+        request.send();
+      });
+    }
+    return fetch(url).then(function (response) {
+      var total = parseInt(response.headers.get('Content-Length'), 10) || 0,
+          reader,
+          decoder,
+          loaded = 0,
+          text = '';
+
+      if (!response.ok) {
+        throw new Error('HTTP ' + response.status + ' ' + response.statusText + ' loading ' + url);
+      }
+      if (!onProgress || !response.body || !response.body.getReader) {
+        return response.text();
+      }
+      reader = response.body.getReader();
+      decoder = new TextDecoder();
+      return (function read() {
+        return reader.read().then(function (chunk) {
+          if (chunk.done) {
+            return text + decoder.decode();
+          }
+          loaded += chunk.value.length;
+          text += decoder.decode(chunk.value, { stream: true });
+          onProgress(loaded, total);
+          return read();
+        });
+      })();
+    });
+  }
+
+  /**
+   * Formats a value for text reports.
+   *
+   * @private
+   * @param {Number|String} v Value, or text already formatted.
+   * @param {Number} width Column width.
+   * @returns {String} Value (non-integers in exponential notation, '-' if unknown or infinite), right-aligned.
+   */
+  function formatValue(v, width) {
+    var s = (typeof v === 'string') ? v : (v === undefined || v === null || !isFinite(v)) ? '-' : (v % 1 !== 0) ? v.toExponential(4) : String(v);
+
+    while (s.length < width) {
+      s = ' ' + s;
+    }
+    return s;
+  }
+
+  /**
+   * Seconds per phase unit.
+   *
+   * @private
+   * @param {String} units Phase units: s, ms, us, ns, ps, fs, cycles or rad.
+   * @param {Number} nominal Nominal frequency in Hz (for cycles and radians).
+   * @returns {Number} Seconds per unit.
+   */
+  function phaseScale(units, nominal) {
+    if (PHASE_UNITS[units]) {
+      return PHASE_UNITS[units];
+    }
+    if (units !== 'cycles' && units !== 'rad') {
+      throw new Error('Unknown phase units: ' + units);
+    }
+    if (!nominal) {
+      throw new Error('A nominal frequency is needed for phase in ' + units);
+    }
+    return ((units === 'rad') ? 1 / (2 * Math.PI) : 1) / nominal;
+  }
+
+  /**
+   * Converts a frequency reading into fractional frequency.
+   *
+   * Absolute frequency: y = (f - f0) / f0 ; period: y = (T0 - T) / T
+   *
+   * @private
+   * @param {Number} v Reading.
+   * @param {String} units Absolute frequency (Hz, mHz, kHz, MHz, GHz), period ('period' in s, or e.g. 'period ns')
+   *                       or scaled fractional frequency ('', 'fractional', ppm, ppb, ppt).
+   * @param {Number} nominal Nominal frequency f0 in Hz (for absolute frequency and period).
+   * @returns {Number} Fractional frequency.
+   */
+  function fractional(v, units, nominal) {
+    var period = /^period\s*(\S*)$/.exec(units);
+
+    if (FRACTION_UNITS[units]) {
+      return v * FRACTION_UNITS[units];
+    }
+    if (!FREQ_UNITS[units] && !period) {
+      throw new Error('Unknown frequency units: ' + units);
+    }
+    if (!nominal) {
+      throw new Error('A nominal frequency is needed for frequency in ' + units);
+    }
+    if (period) {
+      v *= phaseScale(period[1] || 's');
+      return (1 / nominal - v) / v;
+    }
+    return (v * FREQ_UNITS[units] - nominal) / nominal;
+  }
+
+  /**
+   * Reads a readable stream to the end without blocking the event loop.
+   *
+   * @private
+   * @param {Object} stream Readable stream (Node.js).
+   * @returns {Promise} Promise of the stream contents as a string.
+   */
+  function readStream(stream) {
+    return new Promise(function (resolve, reject) {
+      var chunks = [];
+
+      // Decode as a whole, so multibyte characters split across chunks stay intact
+      if (typeof stream.setEncoding === 'function') {
+        stream.setEncoding('utf8');
+      }
+      stream.on('data', function (chunk) {
+        chunks.push(String(chunk));
+      });
+      stream.on('error', reject);
+      stream.on('end', function () {
+        resolve(chunks.join(''));
+      });
+    });
+  }
+
+  /**
+   * Inner sum of the modified total variances (MTOTVAR and HTOTVAR) for the
+   * subsequence a(n)..a(n+3m-1): removes its linear trend (half-average
+   * method), extends it by uninverted reflection at both ends to 9m points
+   * and adds up the squared second differences of m-point averages over
+   * the 6m central positions.
+   *
+   * Averages are kept as sliding sums, so it takes O(m) operations.
+   *
+   * @private
+   * @param {Float64Array} a Phase (MTOTVAR) or frequency (HTOTVAR) data.
+   * @param {Number} n Start of the subsequence.
+   * @param {Number} m Averaging factor.
+   * @param {Float64Array} buf Work buffer of 9m values.
+   * @returns {Number} Sum of squared second differences.
+   */
+  function reflectedSum(a, n, m, buf) {
+    var half = Math.floor((3 * m + 1) / 2),
+        h = Math.floor(3 * m / 2),
+        f = 0,
+        z,
+        s1 = 0,
+        s2 = 0,
+        s3 = 0,
+        v,
+        sum = 0;
+
+    for (var i = 0; i < h; i++) {
+      f += a[n + i + half] - a[n + i];
+    }
+    f /= half * h;
+    for (var i = 0; i < 3 * m; i++) {
+      z = a[n + i] - a[n] - f * i; // The offset does not change second differences
+      buf[3 * m - 1 - i] = z;
+      buf[3 * m + i] = z;
+      buf[9 * m - 1 - i] = z;
+    }
+    for (var i = 0; i < m; i++) {
+      s1 += buf[i];
+      s2 += buf[m + i];
+      s3 += buf[2 * m + i];
+    }
+    for (var p = 0; p < 6 * m; p++) {
+      v = (s1 - 2 * s2 + s3) / m;
+      sum += v * v;
+      if (p + 3 * m < 9 * m) {
+        s1 += buf[p + m] - buf[p];
+        s2 += buf[p + 2 * m] - buf[p + m];
+        s3 += buf[p + 3 * m] - buf[p + 2 * m];
+      }
+    }
+    return sum;
+  }
+
+  /**
+   * Loads a Node.js built-in module. The require call is not a static one,
+   * so browser bundlers do not try to resolve the module.
+   *
+   * @private
+   * @param {String} name Module name (e.g. 'fs').
+   * @returns {Object} Module, or null outside Node.js.
+   */
+  function nodeRequire(name) {
+    return (typeof module !== 'undefined' && typeof module.require === 'function') ? module.require(name) : null;
+  }
+
+  /**
+   * Computes sigma-tau table rows for a list of (estimator, m) jobs, as
+   * the worker side of Allan.Dataset.prototype.computeAsync.
+   *
+   * @private
+   * @param {Object} msg Message with the serialized dataset, the jobs and the confidence level.
+   * @param {Function} post Function sending a message back to the main thread.
+   * @returns nothing.
+   */
+  function runJobs(msg, post) {
+    var d = Allan.Dataset.restore(msg.dataset),
+        jobs = msg.jobs,
+        ms = {},
+        ci;
+
+    for (var i = 0; i < jobs.length; i++) {
+      ms[jobs[i].dev] = ms[jobs[i].dev] || [];
+      ms[jobs[i].dev].push(jobs[i].m);
+    }
+    for (var dev in ms) {
+      d._fastTable(dev, ms[dev]);
+    }
+    for (var i = 0; i < jobs.length; i++) {
+      ci = d.getConfidence(jobs[i].dev, jobs[i].m, msg.level);
+      post({
+        allanjs: 'progress',
+        done: i + 1,
+        total: jobs.length,
+        dev: jobs[i].dev,
+        row: { tau: ci.tau, m: jobs[i].m, value: ci.value, n: d.counts[jobs[i].dev][ci.tau], edf: ci.edf, min: ci.min, max: ci.max }
+      });
+    }
+    post({ allanjs: 'done', values: d.values, counts: d.counts });
+  }
+
+  /**
+   * Linear least squares fit, skipping gaps (NaN).
+   *
+   * The normal equations are solved by Gaussian elimination. A pivot below
+   * PIVOT_TOLERANCE times the largest diagonal term means the regressors
+   * don't determine all the coefficients (too few samples, or dependent
+   * ones), which is reported like an empty fit.
+   *
+   * @private
+   * @param {Function} basis Function returning the array of regressors for sample i.
+   * @param {Array} v Array of values to fit.
+   * @returns {Object} coef (Array of fitted coefficients, empty if the fit is singular) and sse (sum of squared residuals).
+   */
+  function leastSquares(basis, v) {
+    var A = [],
+        b = [],
+        coef = [],
+        sse = 0,
+        scale = 0,
+        k,
+        r,
+        p,
+        e,
+        t;
+
+    for (var i = 0, len = v.length; i < len; i++) {
+      if (isNaN(v[i])) {
+        continue;
+      }
+      r = basis(i);
+      if (k === undefined) {
+        k = r.length;
+        for (var j = 0; j < k; j++) {
+          A[j] = [];
+          b[j] = 0;
+          for (var l = 0; l < k; l++) {
+            A[j][l] = 0;
+          }
+        }
+      }
+      for (var j = 0; j < k; j++) {
+        b[j] += r[j] * v[i];
+        for (var l = 0; l < k; l++) {
+          A[j][l] += r[j] * r[l];
+        }
+      }
+    }
+    if (k === undefined) {
+      return { coef: [], sse: NaN };
+    }
+    for (var j = 0; j < k; j++) {
+      scale = Math.max(scale, A[j][j]);
+    }
+    // Gaussian elimination with partial pivoting
+    for (var j = 0; j < k; j++) {
+      p = j;
+      for (var l = j + 1; l < k; l++) {
+        if (Math.abs(A[l][j]) > Math.abs(A[p][j])) {
+          p = l;
+        }
+      }
+      t = A[j]; A[j] = A[p]; A[p] = t;
+      t = b[j]; b[j] = b[p]; b[p] = t;
+      if (!(Math.abs(A[j][j]) > PIVOT_TOLERANCE * scale)) {
+        return { coef: [], sse: NaN };
+      }
+      for (var l = j + 1; l < k; l++) {
+        e = A[l][j] / A[j][j];
+        b[l] -= e * b[j];
+        for (var q = j; q < k; q++) {
+          A[l][q] -= e * A[j][q];
+        }
+      }
+    }
+    for (var j = k - 1; j >= 0; j--) {
+      coef[j] = b[j];
+      for (var l = j + 1; l < k; l++) {
+        coef[j] -= A[j][l] * coef[l];
+      }
+      coef[j] /= A[j][j];
+    }
+    for (var i = 0, len = v.length; i < len; i++) {
+      if (!isNaN(v[i])) {
+        r = basis(i);
+        e = v[i];
+        for (var j = 0; j < k; j++) {
+          e -= coef[j] * r[j];
+        }
+        sse += e * e;
+      }
+    }
+    return { coef: coef, sse: sse };
+  }
+
+  /**
+   * Minimizes a function of one variable, first on a grid and then by
+   * golden-section search around the best grid point.
+   *
+   * @private
+   * @param {Function} f Function to minimize.
+   * @param {Number} lo Lower limit of the search.
+   * @param {Number} hi Upper limit of the search.
+   * @returns {Number} Argument of the minimum.
+   */
+  function minimize(f, lo, hi) {
+    var STEPS = 60,
+        GOLDEN = (Math.sqrt(5) - 1) / 2,
+        step = (hi - lo) / STEPS,
+        best = lo,
+        fbest = Infinity,
+        a, b, c, d, fc, fd, v;
+
+    for (var i = 0; i <= STEPS; i++) {
+      v = f(lo + i * step);
+      if (v < fbest) {
+        fbest = v;
+        best = lo + i * step;
+      }
+    }
+    a = Math.max(lo, best - step);
+    b = Math.min(hi, best + step);
+    c = b - GOLDEN * (b - a);
+    d = a + GOLDEN * (b - a);
+    fc = f(c);
+    fd = f(d);
+    for (var i = 0; i < 60; i++) {
+      if (fc < fd) {
+        b = d; d = c; fd = fc;
+        c = b - GOLDEN * (b - a);
+        fc = f(c);
+      } else {
+        a = c; c = d; fc = fd;
+        d = a + GOLDEN * (b - a);
+        fd = f(d);
+      }
+    }
+    return (a + b) / 2;
+  }
+
+  /**
+   * Median of the values of an array, skipping gaps (NaN).
+   *
+   * @private
+   * @param {Array} a Array of values.
+   * @returns {Number} Median (NaN if there are no values).
+   */
+  function median(a) {
+    var v = [],
+        h;
+
+    for (var i = 0, len = a.length; i < len; i++) {
+      if (!isNaN(a[i])) {
+        v.push(a[i]);
+      }
+    }
+    v.sort(function (p, q) { return p - q; });
+    h = Math.floor(v.length / 2);
+    return (v.length % 2) ? v[h] : (v[h - 1] + v[h]) / 2;
+  }
+
+  /**
+   * Checks whether an object has no own properties.
+   *
+   * @private
+   * @param {Object} o Object.
+   * @returns {Boolean} true if empty.
+   */
+  function isEmpty(o) {
+    for (var k in o) {
+      if (o.hasOwnProperty(k)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Samples a limit curve into mask breakpoints, log-spaced in tau.
+   *
+   * @private
+   * @param {Array} segments Segments as [from, to, f] with f(tau) the limit between taus from and to.
+   * @returns {Array} Breakpoints as [tau, limit] pairs.
+   */
+  function maskCurve(segments) {
+    var points = [],
+        from,
+        to,
+        tau,
+        f,
+        n;
+
+    for (var i = 0; i < segments.length; i++) {
+      from = segments[i][0];
+      to = segments[i][1];
+      f = segments[i][2];
+      n = Math.max(1, Math.ceil(Math.log(to / from) / Math.LN10 * MASK_DENSITY));
+      for (var j = (i > 0) ? 1 : 0; j <= n; j++) {
+        tau = (j < n) ? from * Math.pow(to / from, j / n) : to;
+        points.push([tau, f(tau)]);
+      }
+    }
+    return points;
+  }
+
+  /**
+   * Natural logarithm using only basic arithmetic, so that it gives the
+   * same result on every JavaScript engine (unlike Math.log).
+   *
+   * s = m·2^k, with m in [½√2, √2):
+   *
+   * ln(s) = k·ln(2) + 2·atanh(z) ; z = (m - 1) / (m + 1) , |z| < 0.172
+   *
+   * @private
+   * @param {Number} s Positive argument.
+   * @returns {Number} ln(s).
+   */
+  function exactLog(s) {
+    var k = 0,
+        z,
+        z2,
+        term,
+        sum = 0;
+
+    while (s >= 1.4142135623730951) {
+      s /= 2;
+      k++;
+    }
+    while (s < 0.7071067811865476) {
+      s *= 2;
+      k--;
+    }
+    z = (s - 1) / (s + 1);
+    z2 = z * z;
+    term = z;
+    for (var n = 1; n < 26; n += 2) { // z^25 / 25 < 1e-20
+      sum += term / n;
+      term *= z2;
+    }
+    return 2 * sum + k * 0.6931471805599453;
+  }
+
+  /**
+   * Integer power by repeated multiplication (exact across engines, unlike Math.pow).
+   *
+   * @private
+   * @param {Number} b Base.
+   * @param {Number} e Integer exponent.
+   * @returns {Number} b^e.
+   */
+  function intPow(b, e) {
+    var p = 1;
+
+    for (var i = 0; i < Math.abs(e); i++) {
+      p *= b;
+    }
+    return (e < 0) ? 1 / p : p;
+  }
+
+  /**
+   * In-place radix-2 fast Fourier transform.
+   *
+   * Twiddle factors are built with half-angle formulas and products, from
+   * basic arithmetic and square roots only, so results are the same on
+   * every engine. The inverse transform is scaled by 1/n.
+   *
+   * @private
+   * @param {Float64Array} re Real parts (length a power of two).
+   * @param {Float64Array} im Imaginary parts.
+   * @param {Boolean} inverse true for the inverse transform.
+   * @returns nothing.
+   */
+  function fft(re, im, inverse) {
+    var n = re.length,
+        bits = 0,
+        rootRe = [],
+        rootIm = [],
+        c = 0,
+        s = 1,
+        wr = new Float64Array(Math.max(1, n / 2)),
+        wi = new Float64Array(Math.max(1, n / 2)),
+        sign = inverse ? 1 : -1,
+        step,
+        j,
+        t,
+        tr,
+        ti,
+        ur,
+        ui;
+
+    while ((1 << bits) < n) {
+      bits++;
+    }
+    // rootRe/Im[b] = e^(i·2π / 2^b), starting from e^(iπ/2) = i
+    rootRe[1] = -1;
+    rootIm[1] = 0;
+    for (var b = 2; b <= bits; b++) {
+      rootRe[b] = c;
+      rootIm[b] = s;
+      c = Math.sqrt((1 + c) / 2);
+      s = s / (2 * c);
+    }
+    // wr/wi[k] = e^(sign·i·2πk / n)
+    wr[0] = 1;
+    for (var b = bits, step = 1; step < n / 2; b--, step *= 2) {
+      c = rootRe[b];
+      s = sign * rootIm[b];
+      for (var k = step; k < 2 * step; k++) {
+        wr[k] = wr[k - step] * c - wi[k - step] * s;
+        wi[k] = wr[k - step] * s + wi[k - step] * c;
+      }
+    }
+
+    for (var i = 1, j = 0; i < n; i++) {
+      for (var bit = n >> 1; j & bit; bit >>= 1) {
+        j ^= bit;
+      }
+      j ^= bit;
+      if (i < j) {
+        t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+    for (var len = 2; len <= n; len *= 2) {
+      step = n / len;
+      for (var i = 0; i < n; i += len) {
+        for (var k = 0; k < len / 2; k++) {
+          tr = re[i + k + len / 2] * wr[k * step] - im[i + k + len / 2] * wi[k * step];
+          ti = re[i + k + len / 2] * wi[k * step] + im[i + k + len / 2] * wr[k * step];
+          ur = re[i + k];
+          ui = im[i + k];
+          re[i + k] = ur + tr;
+          im[i + k] = ui + ti;
+          re[i + k + len / 2] = ur - tr;
+          im[i + k + len / 2] = ui - ti;
+        }
+      }
+    }
+    if (inverse) {
+      for (var i = 0; i < n; i++) {
+        re[i] /= n;
+        im[i] /= n;
+      }
+    }
+  }
+
+  /**
+   * Linear cross-correlation of two sequences:
+   *
+   * c(t) = Σ a(u)·b(u + t)    for t = 0 .. count - 1
+   *
+   * Values past the end of b count as 0. Short sequences are correlated
+   * directly, longer ones by FFT (zero-padded so it does not wrap around).
+   *
+   * @private
+   * @param {Float64Array} a First sequence.
+   * @param {Float64Array} b Second sequence.
+   * @param {Number} count Number of lags.
+   * @returns {Float64Array} Correlation at lags 0 to count - 1.
+   */
+  function crossCorrelation(a, b, count) {
+    var la = a.length,
+        lb = Math.min(b.length, la + count - 1),
+        c = new Float64Array(count),
+        n = 1,
+        ar,
+        ai,
+        br,
+        bi,
+        t;
+
+    if (la <= DIRECT_CORRELATION) {
+      for (var k = 0; k < count; k++) {
+        for (var u = 0; u < la && u + k < lb; u++) {
+          c[k] += a[u] * b[u + k];
+        }
+      }
+      return c;
+    }
+    while (n < la + count - 1) {
+      n *= 2;
+    }
+    ar = new Float64Array(n);
+    ai = new Float64Array(n);
+    br = new Float64Array(n);
+    bi = new Float64Array(n);
+    ar.set(a);
+    br.set(b.subarray(0, lb));
+    fft(ar, ai);
+    fft(br, bi);
+    // conj(A)·B
+    for (var k = 0; k < n; k++) {
+      t = ar[k] * br[k] + ai[k] * bi[k];
+      bi[k] = ar[k] * bi[k] - ai[k] * br[k];
+      br[k] = t;
+    }
+    fft(br, bi, true);
+    c.set(br.subarray(0, count));
+    return c;
+  }
+
+  /**
+   * Lagged products summed over prefixes that grow with m, for
+   * m = 1 .. M:
+   *
+   *         r·m-1
+   * H(m) =   Σ    x(j)·x(j + c·m)
+   *         j=0
+   *
+   * Every prefix is split in dyadic blocks, and each block is correlated
+   * once with the lags of all the prefixes it belongs to, which takes
+   * O(N·log²N) operations instead of O(N²).
+   *
+   * @private
+   * @param {Float64Array} x Data.
+   * @param {Number} c Lag, in averaging factors.
+   * @param {Number} r Prefix length, in averaging factors.
+   * @param {Number} M Largest averaging factor (r·M must not exceed the length of x).
+   * @returns {Float64Array} H(m) at index m.
+   */
+  function lagProducts(x, c, r, M) {
+    var H = new Float64Array(M + 1),
+        N = x.length,
+        m0,
+        m1,
+        corr;
+
+    for (var L = 1; L <= r * M; L *= 2) {
+      for (var s = 0; s + L <= r * M; s += 2 * L) {
+        // x(s)..x(s+L-1) is a block of the prefixes with s + L <= r·m < s + 2L
+        m0 = Math.ceil((s + L) / r);
+        m1 = Math.min(M, Math.ceil((s + 2 * L) / r) - 1);
+        if (m0 > m1) {
+          continue;
+        }
+        corr = crossCorrelation(x.subarray(s, s + L), x.subarray(Math.min(s + c * m0, N)), c * (m1 - m0) + 1);
+        for (var m = m0; m <= m1; m++) {
+          H[m] += corr[c * (m - m0)];
+        }
+      }
+    }
+    return H;
+  }
+
+  /**
+   * Sums of squared differences of order P for every averaging factor
+   * m = 1 .. M:
+   *
+   *         K-1    P
+   * S(m) =   Σ  [  Σ  w(p)·x(i + p·m) ]²      with K = N - P·m
+   *         i=0   p=0
+   *
+   * Expanding the square leaves sums of squares, taken from compensated
+   * prefix sums, and sums of products at lags (q - p)·m: the full
+   * autocorrelation by FFT, minus the products before i = 0 and after
+   * i = K - 1 (see lagProducts, on x and on x reversed).
+   *
+   * The rounding error is bounded by ε·log2²(2N)·(Σ|w|)²·Σx², the same for
+   * every m, so it only stays small against S(m) where the differences are
+   * not much smaller than the data.
+   *
+   * @private
+   * @param {Float64Array} x Data.
+   * @param {Array} w Difference weights w(0)..w(P).
+   * @param {Number} M Largest averaging factor (P·M must be less than the length of x).
+   * @returns {Object} sums (Float64Array with S(m) at index m) and error (bound of their absolute error).
+   */
+  function differenceSums(x, w, M) {
+    var N = x.length,
+        P = w.length - 1,
+        squares = new Float64Array(N + 1),
+        reversed = new Float64Array(N),
+        heads = {},
+        tails = {},
+        S = new Float64Array(M + 1),
+        sum = 0,
+        comp = 0,
+        bits = 0,
+        W = 0,
+        R,
+        K,
+        c,
+        v,
+        t;
+
+    // Kahan summation of the squares
+    for (var i = 0; i < N; i++) {
+      v = x[i] * x[i] - comp;
+      t = sum + v;
+      comp = (t - sum) - v;
+      sum = t;
+      squares[i + 1] = sum;
+      reversed[i] = x[N - 1 - i];
+    }
+    R = crossCorrelation(x, x, Math.min(N, P * M + 1));
+    for (var p = 0; p < P; p++) {
+      for (var q = p + 1; q <= P; q++) {
+        c = q - p;
+        if (p > 0 && !heads[c + ',' + p]) {
+          heads[c + ',' + p] = lagProducts(x, c, p, M);
+        }
+        if (q < P && !tails[c + ',' + (P - q)]) {
+          tails[c + ',' + (P - q)] = lagProducts(reversed, c, P - q, M);
+        }
+      }
+    }
+
+    for (var m = 1; m <= M; m++) {
+      K = N - P * m;
+      v = 0;
+      for (var p = 0; p <= P; p++) {
+        v += w[p] * w[p] * (squares[p * m + K] - squares[p * m]);
+        for (var q = p + 1; q <= P; q++) {
+          c = q - p;
+          t = R[c * m];
+          t -= (p > 0) ? heads[c + ',' + p][m] : 0;
+          t -= (q < P) ? tails[c + ',' + (P - q)][m] : 0;
+          v += 2 * w[p] * w[q] * t;
+        }
+      }
+      S[m] = v;
+    }
+
+    for (var p = 0; p <= P; p++) {
+      W += Math.abs(w[p]);
+    }
+    while ((1 << bits) < 2 * N) {
+      bits++;
+    }
+    return { sums: S, error: EPSILON * bits * bits * W * W * sum };
+  }
+
+  /**
+   * Power-law noise with a 1/f^a spectrum (Kasdin and Walter, 1992).
+   *
+   * White noise w of variance q is filtered by the fractional integrator:
+   *
+   * h(0) = 1 ; h(k) = h(k-1)·(a/2 + k - 1) / k
+   *
+   * with the convolution computed by FFT on zero-padded sequences.
+   *
+   * @private
+   * @param {Allan.Random} rng Random number generator.
+   * @param {Number} N Number of samples.
+   * @param {Number} a Spectral exponent (0 white, 1 flicker, 2 random walk...).
+   * @param {Number} q Variance of the white noise.
+   * @returns {Float64Array} Noise samples.
+   */
+  function kasdinNoise(rng, N, a, q) {
+    var n = 1,
+        std = Math.sqrt(q),
+        hr,
+        hi,
+        wr,
+        wi,
+        t;
+
+    while (n < 2 * N) {
+      n *= 2;
+    }
+    hr = new Float64Array(n);
+    hi = new Float64Array(n);
+    wr = new Float64Array(n);
+    wi = new Float64Array(n);
+    hr[0] = 1;
+    for (var k = 1; k < N; k++) {
+      hr[k] = hr[k - 1] * (a / 2 + k - 1) / k;
+    }
+    for (var k = 0; k < N; k++) {
+      wr[k] = rng.normal() * std;
+    }
+    fft(hr, hi);
+    fft(wr, wi);
+    for (var k = 0; k < n; k++) {
+      t = hr[k] * wr[k] - hi[k] * wi[k];
+      wi[k] = hr[k] * wi[k] + hi[k] * wr[k];
+      wr[k] = t;
+    }
+    fft(wr, wi, true);
+    return wr.subarray(0, N);
+  }
+
+  /**
+   * Variance of an estimator for a power-law noise of level h = 1, with
+   * S_y(f) = h·f^alpha up to fh = 1 / 2τ0 (from the transfer function of
+   * each estimator; MVAR for m ≫ 1):
+   *
+   * AVAR:  3·fh / 4π²τ²  ;  [1.038 + 3·ln(2πfhτ)] / 4π²τ²  ;  1 / 2τ  ;  2·ln(2)  ;  (2π²/3)·τ
+   * MVAR:  3 / 8π²τ³  ;  3.37 / 4π²τ²  ;  1 / 4τ  ;  (27/20)·ln(2)  ;  (11/20)·π²·τ
+   * HVAR:  (10/3)·fh / 4π²τ²  ;  [0.904 + (10/3)·ln(2πfhτ)] / 4π²τ²  ;  1 / 2τ  ;  [8·ln(2) - 3·ln(3)] / 2  ;  (π²/3)·τ
+   *
+   * for alpha = 2, 1, 0, -1 and -2 (white PM to random walk FM).
+   * TVAR is τ²/3·MVAR.
+   *
+   * @private
+   * @param {String} dev Estimator name (adev, oadev, mdev, tdev, hdev or ohdev).
+   * @param {Number} alpha Power-law noise exponent (-2 to 2).
+   * @param {Number} tau Averaging time in seconds.
+   * @param {Number} tau0 Sampling interval in seconds.
+   * @returns {Number} Variance per unit h.
+   */
+  function noiseVariance(dev, alpha, tau, tau0) {
+    var w = 4 * Math.PI * Math.PI * tau * tau,
+        l = Math.log(Math.PI * tau / tau0); // ln(2π·fh·τ)
+
+    switch (dev) {
+      case 'adev':
+      case 'oadev':
+        return [2 * Math.PI * Math.PI / 3 * tau, 2 * Math.LN2, 1 / (2 * tau), (1.038 + 3 * l) / w, 3 / (2 * tau0 * w)][alpha + 2];
+      case 'mdev':
+        return [11 / 20 * Math.PI * Math.PI * tau, 27 / 20 * Math.LN2, 1 / (4 * tau), 3.37 / w, 3 / (8 * Math.PI * Math.PI * tau * tau * tau)][alpha + 2];
+      case 'tdev':
+        return tau * tau / 3 * noiseVariance('mdev', alpha, tau, tau0);
+      case 'hdev':
+      case 'ohdev':
+        return [Math.PI * Math.PI / 3 * tau, (8 * Math.LN2 - 3 * Math.log(3)) / 2, 1 / (2 * tau), (0.904 + 10 / 3 * l) / w, 10 / (6 * tau0 * w)][alpha + 2];
+    }
+    throw new Error('No power-law translation for ' + dev);
+  }
+
+  /**
+   * Natural logarithm of the gamma function (Lanczos approximation).
+   *
+   * @private
+   * @param {Number} z Positive argument.
+   * @returns {Number} ln(Γ(z)).
+   */
+  function lnGamma(z) {
+    var c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+             -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5],
+        t = z + 5.5,
+        s = 1.000000000190015;
+
+    t -= (z + 0.5) * Math.log(t);
+    for (var j = 0; j < 6; j++) {
+      s += c[j] / (z + j + 1);
+    }
+    return -t + Math.log(2.5066282746310005 * s / z);
+  }
+
+  /**
+   * Regularized lower incomplete gamma function P(a, x).
+   *
+   * Series expansion for x < a + 1, continued fraction otherwise
+   * (Numerical Recipes, 6.2).
+   *
+   * @private
+   * @param {Number} a Shape parameter.
+   * @param {Number} x Upper limit of the integral.
+   * @returns {Number} P(a, x).
+   */
+  function gammaP(a, x) {
+    var ln = a * Math.log(x) - x - lnGamma(a),
+        sum, del, b, c, d, h, an;
+
+    if (x <= 0) {
+      return 0;
+    }
+    if (x < a + 1) {
+      sum = del = 1 / a;
+      for (var n = 1; n < 500 && Math.abs(del) > Math.abs(sum) * 1e-15; n++) {
+        del *= x / (a + n);
+        sum += del;
+      }
+      return sum * Math.exp(ln);
+    }
+    b = x + 1 - a;
+    c = 1 / 1e-300;
+    d = 1 / b;
+    h = d;
+    for (var i = 1; i < 500; i++) {
+      an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      d = (Math.abs(d) < 1e-300) ? 1e-300 : d;
+      c = b + an / c;
+      c = (Math.abs(c) < 1e-300) ? 1e-300 : c;
+      d = 1 / d;
+      del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < 1e-15) {
+        break;
+      }
+    }
+    return 1 - Math.exp(ln) * h;
+  }
+
+  /**
+   * Inverse of the chi-squared cumulative distribution function.
+   *
+   * @private
+   * @param {Number} p Probability (0 < p < 1).
+   * @param {Number} df Degrees of freedom (not necessarily an integer).
+   * @returns {Number} Value whose chi-squared CDF equals p.
+   */
+  function chiSquaredInv(p, df) {
+    var lo = 0,
+        hi = Math.max(1, df),
+        mid;
+
+    while (gammaP(df / 2, hi / 2) < p) {
+      hi *= 2;
+    }
+    for (var i = 0; i < 200 && hi - lo > hi * 1e-12; i++) {
+      mid = (lo + hi) / 2;
+      if (gammaP(df / 2, mid / 2) < p) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    return (lo + hi) / 2;
+  }
+
+  /**
+   * Lag-1 autocorrelation of an array.
+   *
+   * @private
+   * @param {Array} z Array of values (gaps as NaN are skipped).
+   * @returns {Number} r1.
+   */
+  function lag1Acf(z) {
+    var avg = 0,
+        num = 0,
+        den = 0,
+        n = 0,
+        len = z.length;
+
+    for (var i = 0; i < len; i++) {
+      if (!isNaN(z[i])) {
+        avg += z[i];
+        n++;
+      }
+    }
+    avg /= n;
+    for (var i = 0; i < len; i++) {
+      if (!isNaN(z[i])) {
+        den += (z[i] - avg) * (z[i] - avg);
+        if (i + 1 < len && !isNaN(z[i + 1])) {
+          num += (z[i] - avg) * (z[i + 1] - avg);
+        }
+      }
+    }
+    return num / den;
+  }
+
+  /**
+   * Expected B1 bias ratio (N-sample / 2-sample variance) for a power law
+   * AVAR ~ tau^mu.
+   *
+   * @private
+   * @param {Number} N Number of frequency samples.
+   * @param {Number} mu Exponent of tau in the Allan variance.
+   * @returns {Number} B1(N, mu).
+   */
+  function b1Ratio(N, mu) {
+    if (mu === 0) {
+      return N * Math.log(N) / (2 * (N - 1) * Math.LN2);
+    }
+    return N * (1 - Math.pow(N, mu)) / (2 * (N - 1) * (1 - Math.pow(2, mu)));
+  }
+
+  /**
+   * Greenhall's generalized autocovariance for power-law noise.
+   *
+   * @private
+   * @param {Number} t Lag.
+   * @param {Number} alpha Power-law noise exponent.
+   * @returns {Number} sw(t).
+   */
+  function greenhallSw(t, alpha) {
+    var at = Math.abs(t);
+
+    switch (alpha) {
+      case 2: return -at;
+      case 1: return (t === 0) ? 0 : t * t * Math.log(at);
+      case 0: return at * at * at;
+      case -1: return (t === 0) ? 0 : t * t * t * t * Math.log(at);
+      case -2: return at * at * at * at * at;
+      case -3: return (t === 0) ? 0 : Math.pow(t, 6) * Math.log(at);
+      default: return Math.pow(at, 7);
+    }
+  }
+
+  /**
+   * Autocovariance of the phase filtered by an F-point average.
+   *
+   * @private
+   */
+  function greenhallSx(t, F, alpha) {
+    if (F === Infinity) {
+      return greenhallSw(t, alpha + 2);
+    }
+    return F * F * (2 * greenhallSw(t, alpha) - greenhallSw(t - 1 / F, alpha) - greenhallSw(t + 1 / F, alpha));
+  }
+
+  /**
+   * Autocovariance of the d-th difference of the filtered phase.
+   *
+   * @private
+   */
+  function greenhallSz(t, F, alpha, d) {
+    var coef = [[2, -1], [6, -4, 1], [20, -15, 6, -1]][d - 1],
+        sz = coef[0] * greenhallSx(t, F, alpha);
+
+    for (var k = 1; k <= d; k++) {
+      sz += coef[k] * (greenhallSx(t - k, F, alpha) + greenhallSx(t + k, F, alpha));
+    }
+    return sz;
+  }
+
+  /**
+   * Greenhall's basic sum of squared autocovariances.
+   *
+   * @private
+   */
+  function greenhallBasicSum(J, M, S, F, alpha, d) {
+    var sz,
+        sum = Math.pow(greenhallSz(0, F, alpha, d), 2);
+
+    sum += (1 - J / M) * Math.pow(greenhallSz(J / S, F, alpha, d), 2);
+    for (var j = 1; j < J; j++) {
+      sz = greenhallSz(j / S, F, alpha, d);
+      sum += 2 * (1 - j / M) * sz * sz;
+    }
+    return sum;
+  }
+
+  /** @const {Array} Greenhall's table 1 (a0, a1) for modified variances, by [2 - alpha][d - 1] */
+  var GREENHALL_TABLE1 = [
+    [[2 / 3, 1 / 3], [7 / 9, 1 / 2], [22 / 25, 2 / 3]],
+    [[0.840, 0.345], [0.997, 0.616], [1.141, 0.843]],
+    [[1.079, 0.368], [1.033, 0.607], [1.184, 0.848]],
+    [null, [1.048, 0.534], [1.180, 0.816]],
+    [null, [1.302, 0.535], [1.175, 0.777]]
+  ];
+
+  /** @const {Array} Greenhall's table 2 (a0, a1) for unmodified variances, by [2 - alpha][d - 1] */
+  var GREENHALL_TABLE2 = [
+    [[3 / 2, 1 / 2], [35 / 18, 1], [231 / 100, 3 / 2]],
+    [[78.6, 25.2], [790, 410], [9950, 6520]],
+    [[2 / 3, 1 / 6], [2 / 3, 1 / 3], [7 / 9, 1 / 2]],
+    [null, [0.852, 0.375], [0.997, 0.617]],
+    [null, [1.079, 0.368], [1.033, 0.607]]
+  ];
+
+  /**
+   * Equivalent degrees of freedom of a difference-based variance.
+   *
+   * Greenhall & Riley combined algorithm (NIST SP 1065, 5.3.3), covering
+   * ADEV/HDEV (d = 2/3), overlapping or not, and their modified versions.
+   *
+   * @private
+   * @param {Number} alpha Power-law noise exponent (-2 to 2).
+   * @param {Number} d Order of the phase difference (2: Allan, 3: Hadamard).
+   * @param {Number} m Averaging factor.
+   * @param {Number} N Number of phase samples.
+   * @param {Boolean} overlapping Overlapping estimator.
+   * @param {Boolean} modified Modified (phase averaged) estimator.
+   * @returns {Number} EDF, or 0 if there are not enough samples.
+   */
+  function greenhallEdf(alpha, d, m, N, overlapping, modified) {
+    var JMAX = 100,
+        F = modified ? 1 : m,
+        S = overlapping ? m : 1,
+        L = m / F + m * d,
+        M = 1 + Math.floor(S * (N - L) / m),
+        J = Math.min(M, (d + 1) * S),
+        r = M / S,
+        a,
+        f;
+
+    if (M < 1) {
+      return 0;
+    }
+    if (modified || alpha <= 1) {
+      a = (modified ? GREENHALL_TABLE1 : GREENHALL_TABLE2)[2 - alpha][d - 1];
+      f = modified ? 1 : (alpha <= 0 ? (m * (d + 1) <= JMAX ? m : Infinity) : m);
+      if (J <= JMAX) {
+        return Math.pow(greenhallSz(0, f, alpha, d), 2) * M / greenhallBasicSum(J, M, S, f, alpha, d);
+      }
+      if (r > d + 1 && a) {
+        return r / (a[0] - a[1] / r);
+      }
+      f = (!modified && alpha <= 0) ? Infinity : f;
+      return Math.pow(greenhallSz(0, f, alpha, d), 2) * JMAX / greenhallBasicSum(JMAX, JMAX, JMAX / r, f, alpha, d);
+    }
+    // White PM, unmodified variances
+    if (Math.ceil(r) <= d) {
+      // Too few terms for Greenhall's formula, use NIST SP 1065 approximation
+      return (N + 1) * (N - 2 * m) / (2 * (N - m));
+    }
+    a = (d === 2) ? 70 / 36 : 924 / 400;
+    return M / (a - d / 2 / r);
+  }
+
+  /**
+   * The Allan Dataset constructor.
+   *
+   * @constructor
+   * @param {String} name A name to identify the dataset.
+   * @param {Number} tau0 Sampling interval in seconds (1 by default).
+   */
+  Allan.Dataset = function (name, tau0) {
+    this.id = ++datasetId;
+    this.name = name || new Date().toString(); // Asign current date as a fallback name
+    this.tau0 = tau0 || 1;
+    this.nominal = 0;
+    this.units = { phase: 's', freq: '' };
+    this.lineage = [];
+    this.metadata = {};
+    this.x = [];
+    this.y = [];
+    this.values = {
+      xavg: {},
+      xmax: {},
+      xmin: {},
+      yavg: {},
+      ymax: {},
+      ymin: {},
+      stdev: {},
+      adev: {},
+      oadev: {},
+      mdev: {},
+      tdev: {},
+      hdev: {},
+      ohdev: {},
+      totdev: {},
+      mtotdev: {},
+      ttotdev: {},
+      htotdev: {},
+      mtie: {},
+      tierms: {},
+      theo1: {},
+      theobr: {},
+      theoh: {},
+      noise: {}
+    };
+    this.counts = {};
+    for (var dev in ESTIMATORS) {
+      this.counts[dev] = {};
+    }
+    return this;
+  };
+
+  Allan.Dataset.prototype = {
+    id: 0,         // {Number} id of the dataset
+    name: '',      // {String} custom description of the dataset
+    tau0: 1,       // {Number} sampling interval in seconds (change it with setTau0)
+    nominal: 0,    // {Number} nominal frequency in Hz (0 if unknown)
+    units: {},     // {Object} units of the loaded phase and frequency data, used in plots
+    lineage: [],   // {Array}  datasets this one was derived from (id, name, operation), oldest first
+    metadata: {},  // {Object} file format, columns, headers and comments of imported data
+    x: [],         // {Array}  array of sequential time-error values
+    y: [],         // {Array}  array of fractional frequency values
+    values: {      // {Object} calculated values of the dataset
+      xavg: {},    // {Object} tau-indexed mean values of the phase data
+      xmax: {},    // {Object} tau-indexed maximum values of the phase data
+      xmin: {},    // {Object} tau-indexed minimum values of the phase data
+      yavg: {},    // {Object} tau-indexed mean values of the frequency data
+      ymax: {},    // {Object} tau-indexed maximum values of the frequency data
+      ymin: {},    // {Object} tau-indexed minimum values of the frequency data
+      stdev: {},   // {Object} tau-indexed standard deviation values
+      adev: {},    // {Object} tau-indexed Allan deviation estimators (non-overlapping)
+      oadev: {},   // {Object} tau-indexed Allan deviation estimators (overlapping)
+      mdev: {},    // {Object} tau-indexed Modified Allan deviation estimators
+      tdev: {},    // {Object} tau-indexed Time deviation estimators
+      hdev: {},    // {Object} tau-indexed Hadamard deviation estimators (non-overlapping)
+      ohdev: {},   // {Object} tau-indexed Hadamard deviation estimators (overlapping)
+      totdev: {},  // {Object} tau-indexed Total deviation estimators
+      mtotdev: {}, // {Object} tau-indexed Modified Total deviation estimators
+      ttotdev: {}, // {Object} tau-indexed Time Total deviation estimators
+      htotdev: {}, // {Object} tau-indexed Hadamard Total deviation estimators
+      mtie: {},    // {Object} tau-indexed Maximum Time Interval Error values
+      tierms: {},  // {Object} tau-indexed rms Time Interval Error values
+      theo1: {},   // {Object} tau-indexed Theo1 deviation estimators
+      theobr: {},  // {Object} tau-indexed bias-removed Theo1 deviation estimators
+      theoh: {},   // {Object} tau-indexed hybrid Theo deviation estimators
+      noise: {}    // {Object} tau-indexed power-law noise identification results
+    },
+    counts: {},    // {Object} tau-indexed number of terms used by each estimator in values
+
+    /**
+     * Converts an array of sequential time-error values into a fractional frequency values array.
+     *
+     * A gap (NaN) in the phase data leaves a gap in both frequency values around it.
+     *
+     * @param {Array} x Array of sequential time-error values.
+     * @param {Number} tau0 Sampling interval in seconds (dataset's tau0 by default).
+     * @returns {Array} Array of fractional frequency values.
+     */
+    phaseToFreq: function (x, tau0) {
+      var y = [];
+
+      tau0 = tau0 || this.tau0 || 1;
+
+      for (var i = 0, len = x.length; i + 1 < len; i++) {
+        y[i] = (x[i + 1] - x[i]) / tau0;
+      }
+
+      return y;
+    },
+
+    /**
+     * Converts an array of fractional frequency values into a sequential time-error values array.
+     *
+     * Gaps (NaN) in the frequency data are bridged with the mean frequency so
+     * that the phase after them stays finite. The dataset keeps the gaps in y,
+     * and estimators skip every term spanning them.
+     *
+     * @param {Array} y Array of fractional frequency values.
+     * @param {Number} tau0 Sampling interval in seconds (dataset's tau0 by default).
+     * @returns {Array} Array of sequential time-error values.
+     */
+    freqToPhase: function (y, tau0) {
+      var x = [0],
+          avg = 0,
+          n = 0;
+
+      tau0 = tau0 || this.tau0 || 1;
+
+      for (var i = 0, len = y.length; i < len; i++) {
+        if (!isNaN(y[i])) {
+          avg += y[i];
+          n++;
+        }
+      }
+      avg = n ? avg / n : 0;
+
+      for (var i = 1, len = y.length; i <= len; i++) {
+        x[i] = x[i - 1] + (isNaN(y[i - 1]) ? avg : y[i - 1]) * tau0;
+      }
+
+      return x;
+    },
+
+    /**
+     * Converts phase readings into seconds.
+     *
+     * @param {Array} x Array of phase readings.
+     * @param {String} units s, ms, us, ns, ps, fs, or cycles and rad of the nominal frequency.
+     * @returns {Array} Array of sequential time-error values in seconds.
+     */
+    phaseToSeconds: function (x, units) {
+      var k = phaseScale(units, this.nominal),
+          a = [];
+
+      for (var i = 0, len = x.length; i < len; i++) {
+        a.push(x[i] * k);
+      }
+      return a;
+    },
+
+    /**
+     * Converts frequency readings into fractional frequency values.
+     *
+     * @param {Array} y Array of frequency readings.
+     * @param {String} units Absolute frequency (Hz, mHz, kHz, MHz, GHz), period ('period' in seconds, or with
+     *                       phase units, e.g. 'period ns'), or fractional frequency ('', ppm, ppb, ppt).
+     * @returns {Array} Array of fractional frequency values.
+     */
+    freqToFractional: function (y, units) {
+      var a = [];
+
+      for (var i = 0, len = y.length; i < len; i++) {
+        a.push(fractional(y[i], units, this.nominal));
+      }
+      return a;
+    },
+
+    /**
+     * Initializes the array of sequential time-error values (x) from an array.
+     *
+     * The array is copied, and every computed value is cleared.
+     *
+     * @param {Array} phase Array of sequential time-error values (missing samples as NaN).
+     * @param {String} units Optional phase units, converted to seconds (see phaseToSeconds) and used in plots.
+     * @returns nothing.
+     */
+    loadPhaseFromArray: function (phase, units) {
+      if (units) {
+        phase = this.phaseToSeconds(phase, units);
+        this.units.phase = units;
+      }
+      this.x = Array.prototype.slice.call(phase);
+      this.y = this.phaseToFreq(this.x);
+      this._resetCache();
+    },
+    
+    /**
+     * Initializes the array of sequential time-error values (x) from a URL, asynchronously.
+     *
+     * @param {String} url URL containing the multi-line data file (non-numeric lines are kept as gaps).
+     * @param {Function} onProgress Optional callback, called with the bytes loaded and the total (0 if unknown).
+     * @returns {Promise} Promise of this dataset, rejected on HTTP errors or if the file has no numeric data.
+     */
+    loadPhaseFromURL: function (url, onProgress) {
+      var me = this;
+
+      return fetchText(url, onProgress).then(function (text) {
+        me.loadPhaseFromArray(parseData(text, url));
+        return me;
+      });
+    },
+    
+    /**
+     * Initializes the array of fractional frequency values (y) from an array.
+     *
+     * The array is copied, and every computed value is cleared.
+     *
+     * @param {Array} freq Array of fractional frequency values (missing samples as NaN).
+     * @param {String} units Optional frequency units, converted to fractional frequency (see freqToFractional) and used in plots.
+     * @returns nothing.
+     */
+    loadFreqFromArray: function (freq, units) {
+      if (units) {
+        freq = this.freqToFractional(freq, units);
+        this.units.freq = units;
+      }
+      this.y = Array.prototype.slice.call(freq);
+      this.x = this.freqToPhase(this.y);
+      this._resetCache();
+    },
+
+    /**
+     * Appends sequential time-error values to the phase data.
+     *
+     * @param {Array} phase Array of sequential time-error values (missing samples as NaN).
+     * @param {String} units Optional phase units (see phaseToSeconds).
+     * @returns nothing.
+     */
+    appendPhase: function (phase, units) {
+      var x = this.x,
+          y = this.y;
+
+      phase = units ? this.phaseToSeconds(phase, units) : phase;
+      // Only the new frequency values are computed, so repeated appends stay linear
+      for (var i = 0, len = phase.length; i < len; i++) {
+        x.push(phase[i]);
+        if (x.length > 1) {
+          y.push((x[x.length - 1] - x[x.length - 2]) / this.tau0);
+        }
+      }
+      this._resetCache();
+    },
+
+    /**
+     * Appends fractional frequency values to the frequency data.
+     *
+     * @param {Array} freq Array of fractional frequency values (missing samples as NaN).
+     * @param {String} units Optional frequency units (see freqToFractional).
+     * @returns nothing.
+     */
+    appendFreq: function (freq, units) {
+      var x = this.x,
+          y = this.y;
+
+      freq = units ? this.freqToFractional(freq, units) : freq;
+      for (var i = 0, len = freq.length; i < len; i++) {
+        if (isNaN(freq[i])) {
+          break;
+        }
+      }
+      // Gaps are bridged with the mean frequency, which new values change: the phase is then integrated again
+      if (i < len || this._getGaps()) {
+        this.replaceFreq(y.length, freq);
+        return;
+      }
+      if (x.length === 0) {
+        x.push(0);
+      }
+      for (var i = 0, len = freq.length; i < len; i++) {
+        y.push(freq[i]);
+        x.push(x[x.length - 1] + freq[i] * this.tau0);
+      }
+      this._resetCache();
+      this._gaps = null; // Still no gaps, so the next append needs no scan
+    },
+
+    /**
+     * Replaces phase values from an index on, extending the data if needed
+     * (skipped samples become gaps). Frequency values are recomputed and
+     * every computed value is cleared.
+     *
+     * @param {Number} start Index of the first value to replace.
+     * @param {Array} phase Array of sequential time-error values (missing samples as NaN).
+     * @param {String} units Optional phase units (see phaseToSeconds).
+     * @returns nothing.
+     */
+    replacePhase: function (start, phase, units) {
+      var x = this.x.slice(0);
+
+      phase = units ? this.phaseToSeconds(phase, units) : phase;
+      while (x.length < start) {
+        x.push(NaN);
+      }
+      for (var i = 0, len = phase.length; i < len; i++) {
+        x[start + i] = phase[i];
+      }
+      this.loadPhaseFromArray(x);
+    },
+
+    /**
+     * Replaces frequency values from an index on, extending the data if
+     * needed (skipped samples become gaps). Phase values are recomputed and
+     * every computed value is cleared.
+     *
+     * @param {Number} start Index of the first value to replace.
+     * @param {Array} freq Array of fractional frequency values (missing samples as NaN).
+     * @param {String} units Optional frequency units (see freqToFractional).
+     * @returns nothing.
+     */
+    replaceFreq: function (start, freq, units) {
+      var y = this.y.slice(0);
+
+      freq = units ? this.freqToFractional(freq, units) : freq;
+      while (y.length < start) {
+        y.push(NaN);
+      }
+      for (var i = 0, len = freq.length; i < len; i++) {
+        y[start + i] = freq[i];
+      }
+      this.loadFreqFromArray(y);
+    },
+
+    /**
+     * Changes the sampling interval, and clears every computed value (they
+     * are indexed by tau).
+     *
+     * Phase and frequency are related through tau0, so one of them is
+     * rescaled: frequency by default, keeping the phase data.
+     *
+     * @param {Number} tau0 Sampling interval in seconds.
+     * @param {String} keep 'x' to keep the phase data (default), 'y' to keep the frequency data.
+     * @returns nothing.
+     */
+    setTau0: function (tau0, keep) {
+      var k = this.tau0 / tau0;
+
+      if (!(tau0 > 0)) {
+        throw new Error('The sampling interval must be positive');
+      }
+      if (keep === 'y') {
+        for (var i = 0, len = this.x.length; i < len; i++) {
+          this.x[i] /= k;
+        }
+      } else {
+        for (var i = 0, len = this.y.length; i < len; i++) {
+          this.y[i] *= k;
+        }
+      }
+      this.tau0 = tau0;
+      this._resetCache();
+    },
+
+    /**
+     * Clears every computed value, after the data have changed.
+     *
+     * @private
+     * @returns nothing.
+     */
+    _resetCache: function () {
+      for (var key in this.values) {
+        this.values[key] = {};
+      }
+      for (var dev in this.counts) {
+        this.counts[dev] = {};
+      }
+      this._gaps = undefined;
+      this._engine = undefined;
+      this._theoRatio = undefined;
+      this._version = (this._version || 0) + 1; // Lets computeAsync tell if the data changed, even in place
+    },
+
+    /**
+     * Starts streaming mode: samples pushed with pushPhase or pushFreq
+     * update ADEV, OADEV, HDEV and MDEV incrementally for a fixed set of
+     * averaging factors, using running sums over ring buffers of the last
+     * 3 · max(m) + 1 phase samples.
+     *
+     * Clears the dataset. Unless keep is set, x and y stay empty so memory
+     * does not grow with the stream, and only the streamed estimators have
+     * values. Pushed samples update the streamed values only; with keep,
+     * values computed from x and y between pushes are not cleared.
+     *
+     * @param {Object} options Optional settings: factors (array of averaging factors m, tau = m · tau0; 1 to
+     *                         1024 in octaves by default) and keep (also store every sample in x and y, false
+     *                         by default).
+     * @returns nothing.
+     */
+    startStream: function (options) {
+      var ms,
+          max = 1,
+          len;
+
+      options = options || {};
+      ms = options.factors || this.getAveragingFactors('octave', 1024);
+      for (var i = 0; i < ms.length; i++) {
+        max = Math.max(max, ms[i]);
+      }
+      len = 3 * max + 1;
+
+      this.x = [];
+      this.y = [];
+      this._resetCache();
+      this._stream = {
+        keep: !!options.keep,
+        size: len,
+        x: new Float64Array(len),   // Ring buffer of phase values
+        g: new Float64Array(len),   // Ring buffer of gap counts in y before each phase value
+        k: -1,                      // Index of the last phase value
+        last: 0,                    // Last phase value, to integrate frequency
+        mean: 0,                    // Running mean frequency, to bridge frequency gaps
+        count: 0,                   // Number of valid frequency values in the mean
+        taus: [],
+        subscribers: []
+      };
+      for (var i = 0; i < ms.length; i++) {
+        this._stream.taus.push({
+          m: ms[i],
+          adev: { sum: 0, n: 0 },
+          oadev: { sum: 0, n: 0 },
+          hdev: { sum: 0, n: 0 },
+          mdev: { sum: 0, n: 0, window: new Float64Array(ms[i]), s: 0 }
+        });
+      }
+    },
+
+    /**
+     * Stops streaming mode. Computed values are kept.
+     *
+     * @returns nothing.
+     */
+    stopStream: function () {
+      this._stream = undefined;
+    },
+
+    /**
+     * State of streaming mode.
+     *
+     * @private
+     * @returns {Object} Stream state (see startStream).
+     */
+    _getStream: function () {
+      if (!this._stream) {
+        throw new Error('Streaming mode not started');
+      }
+      return this._stream;
+    },
+
+    /**
+     * Adds sequential time-error values to the stream.
+     *
+     * @param {Number|Array} phase Time-error value, or array of them (missing samples as NaN).
+     * @returns nothing.
+     */
+    pushPhase: function (phase) {
+      var s = this._getStream();
+
+      phase = (typeof phase === 'number') ? [phase] : phase;
+      for (var i = 0, len = phase.length; i < len; i++) {
+        if (s.keep) {
+          this.x.push(phase[i]);
+          if (s.k >= 0) {
+            this.y.push((phase[i] - s.last) / this.tau0);
+          }
+        }
+        this._pushStream(phase[i], s.k >= 0 && (isNaN(phase[i]) || isNaN(s.x[s.k % s.size])));
+        s.last = phase[i];
+      }
+      this._updateStream();
+    },
+
+    /**
+     * Adds fractional frequency values to the stream.
+     *
+     * Phase is integrated from them, bridging gaps with the mean frequency
+     * so far, and terms that span a gap are left out.
+     *
+     * @param {Number|Array} freq Fractional frequency value, or array of them (missing samples as NaN).
+     * @returns nothing.
+     */
+    pushFreq: function (freq) {
+      var s = this._getStream();
+
+      freq = (typeof freq === 'number') ? [freq] : freq;
+      for (var i = 0, len = freq.length; i < len; i++) {
+        if (s.k < 0) {
+          this._pushStream(0, false);
+          if (s.keep) {
+            this.x.push(0);
+          }
+        }
+        if (!isNaN(freq[i])) {
+          s.count++;
+          s.mean += (freq[i] - s.mean) / s.count;
+        }
+        s.last += (isNaN(freq[i]) ? s.mean : freq[i]) * this.tau0;
+        if (s.keep) {
+          this.y.push(freq[i]);
+          this.x.push(s.last);
+        }
+        this._pushStream(s.last, isNaN(freq[i]));
+      }
+      this._updateStream();
+    },
+
+    /**
+     * Registers a callback called with the streamed sigma-tau table and
+     * the dataset whenever pushed samples change it.
+     *
+     * @param {Function} callback Callback, called as callback(table, dataset).
+     * @returns {Function} Function that removes the subscription.
+     */
+    subscribe: function (callback) {
+      var subscribers = this._getStream().subscribers;
+
+      subscribers.push(callback);
+      return function () {
+        for (var i = 0; i < subscribers.length; i++) {
+          if (subscribers[i] === callback) {
+            subscribers.splice(i, 1);
+            return;
+          }
+        }
+      };
+    },
+
+    /**
+     * Sigma-tau table of the streamed estimators.
+     *
+     * @returns {Object} Arrays of rows (tau, m, value, n) for adev, oadev, hdev and mdev.
+     */
+    getStreamTable: function () {
+      var table = { adev: [], oadev: [], hdev: [], mdev: [] },
+          s = this._getStream(),
+          tau;
+
+      for (var i = 0; i < s.taus.length; i++) {
+        for (var dev in table) {
+          tau = this.getTau(s.taus[i].m);
+          if (this.values[dev][tau]) {
+            table[dev].push({ tau: tau, m: s.taus[i].m, value: this.values[dev][tau], n: this.counts[dev][tau] });
+          }
+        }
+      }
+      return table;
+    },
+
+    /**
+     * Adds a phase value to the stream ring buffers and running sums.
+     *
+     * @private
+     * @param {Number} x Phase value.
+     * @param {Boolean} gap Whether the frequency value before it is a gap.
+     * @returns nothing.
+     */
+    _pushStream: function (x, gap) {
+      var s = this._stream,
+          L = s.size,
+          k = ++s.k,
+          t,
+          m,
+          v;
+
+      s.x[k % L] = x;
+      s.g[k % L] = (k > 0 ? s.g[(k - 1) % L] : 0) + (gap ? 1 : 0);
+
+      for (var i = 0; i < s.taus.length; i++) {
+        t = s.taus[i];
+        m = t.m;
+        if (k < 2 * m) {
+          continue;
+        }
+        // Second difference ending at k, for ADEV, OADEV and the MDEV window (gaps count as 0)
+        v = s.x[k % L] - 2 * s.x[(k - m) % L] + s.x[(k - 2 * m) % L];
+        v = isNaN(v) ? 0 : v;
+        if (s.g[k % L] - s.g[(k - 2 * m) % L] === 0) {
+          t.oadev.sum += v * v;
+          t.oadev.n++;
+          if (k % m === 0) {
+            t.adev.sum += v * v;
+            t.adev.n++;
+          }
+        }
+        t.mdev.s += v - t.mdev.window[k % m];
+        t.mdev.window[k % m] = v;
+        if (k >= 3 * m - 1 && s.g[k % L] - s.g[(k - 3 * m + 1) % L] === 0) {
+          t.mdev.sum += t.mdev.s * t.mdev.s;
+          t.mdev.n++;
+        }
+        if (k >= 3 * m && k % m === 0 && s.g[k % L] - s.g[(k - 3 * m) % L] === 0) {
+          v = s.x[k % L] - 3 * s.x[(k - m) % L] + 3 * s.x[(k - 2 * m) % L] - s.x[(k - 3 * m) % L];
+          t.hdev.sum += v * v;
+          t.hdev.n++;
+        }
+      }
+    },
+
+    /**
+     * Writes the streamed estimators into values and notifies subscribers.
+     *
+     * Only the streamed entries (and TDEV, derived from MDEV) change: other
+     * cached values are kept, and computeAsync runs are not interrupted.
+     * Kept samples only clear the gap counts and engine arrays built from
+     * x and y.
+     *
+     * @private
+     * @returns nothing.
+     */
+    _updateStream: function () {
+      var s = this._stream,
+          t,
+          m,
+          tau,
+          table;
+
+      if (s.keep) {
+        this._gaps = undefined;
+        this._engine = undefined;
+      }
+      for (var i = 0; i < s.taus.length; i++) {
+        t = s.taus[i];
+        m = t.m;
+        tau = this.getTau(m);
+        delete this.values.tdev[tau];
+        delete this.counts.tdev[tau];
+        this.counts.adev[tau] = t.adev.n;
+        this.values.adev[tau] = (t.adev.n > MIN_SAMPLES) ? Math.sqrt(t.adev.sum / (2 * t.adev.n)) / (m * this.tau0) : 0;
+        this.counts.oadev[tau] = t.oadev.n;
+        this.values.oadev[tau] = (t.oadev.n > MIN_SAMPLES) ? Math.sqrt(t.oadev.sum / (2 * t.oadev.n)) / (m * this.tau0) : 0;
+        this.counts.hdev[tau] = t.hdev.n;
+        this.values.hdev[tau] = (t.hdev.n > MIN_SAMPLES) ? Math.sqrt(t.hdev.sum / (6 * t.hdev.n)) / (m * this.tau0) : 0;
+        this.counts.mdev[tau] = t.mdev.n;
+        this.values.mdev[tau] = (t.mdev.n > MIN_SAMPLES) ? Math.sqrt(t.mdev.sum / (2 * m * m * t.mdev.n)) / (m * this.tau0) : 0;
+      }
+      if (s.subscribers.length) {
+        table = this.getStreamTable();
+        for (var i = 0; i < s.subscribers.length; i++) {
+          s.subscribers[i](table, this);
+        }
+      }
+    },
+    
+    /**
+     * Initializes the array of fractional frequency values (y) from a URL, asynchronously.
+     *
+     * @param {String} url URL containing the multi-line data file (non-numeric lines are kept as gaps).
+     * @param {Function} onProgress Optional callback, called with the bytes loaded and the total (0 if unknown).
+     * @returns {Promise} Promise of this dataset, rejected on HTTP errors or if the file has no numeric data.
+     */
+    loadFreqFromURL: function (url, onProgress) {
+      var me = this;
+
+      return fetchText(url, onProgress).then(function (text) {
+        me.loadFreqFromArray(parseData(text, url));
+        return me;
+      });
+    },
+
+    /**
+     * Initializes the array of sequential time-error values (x) from a readable stream (Node.js).
+     *
+     * @param {Object} stream Readable stream of a multi-line data file (non-numeric lines are kept as gaps).
+     * @returns {Promise} Promise of this dataset, once loaded.
+     */
+    loadPhaseFromStream: function (stream) {
+      var me = this;
+
+      return readStream(stream).then(function (text) {
+        me.loadPhaseFromArray(parseData(text, 'stream'));
+        return me;
+      });
+    },
+
+    /**
+     * Initializes the array of fractional frequency values (y) from a readable stream (Node.js).
+     *
+     * @param {Object} stream Readable stream of a multi-line data file (non-numeric lines are kept as gaps).
+     * @returns {Promise} Promise of this dataset, once loaded.
+     */
+    loadFreqFromStream: function (stream) {
+      var me = this;
+
+      return readStream(stream).then(function (text) {
+        me.loadFreqFromArray(parseData(text, 'stream'));
+        return me;
+      });
+    },
+
+    /**
+     * Initializes the array of sequential time-error values (x) from a local file (Node.js).
+     *
+     * @param {String} path Path of the multi-line data file (non-numeric lines are kept as gaps).
+     * @returns {Promise} Promise of this dataset, once loaded.
+     */
+    loadPhaseFromFile: function (path) {
+      var me = this;
+
+      return readStream(nodeRequire('fs').createReadStream(path)).then(function (text) {
+        me.loadPhaseFromArray(parseData(text, path));
+        return me;
+      });
+    },
+
+    /**
+     * Initializes the array of fractional frequency values (y) from a local file (Node.js).
+     *
+     * @param {String} path Path of the multi-line data file (non-numeric lines are kept as gaps).
+     * @returns {Promise} Promise of this dataset, once loaded.
+     */
+    loadFreqFromFile: function (path) {
+      var me = this;
+
+      return readStream(nodeRequire('fs').createReadStream(path)).then(function (text) {
+        me.loadFreqFromArray(parseData(text, path));
+        return me;
+      });
+    },
+
+    /**
+     * Initializes the dataset from a multi-column or timestamped data file
+     * (CSV, Stable32, TimeLab or counter logs).
+     *
+     * The sampling interval is taken from the options, the file headers
+     * or the timestamps, and samples missing from the timestamp grid are
+     * kept as gaps. Details of the file are stored in metadata.
+     *
+     * @param {String} text Contents of the data file.
+     * @param {Object} options Optional settings: format ('auto', 'csv', 'stable32', 'timelab' or 'counter'),
+     *                         type ('phase' or 'freq', from the headers or phase by default), column (index or
+     *                         name of the data column), timeColumn (index of the timestamps, -1 if none),
+     *                         timeFormat ('iso', 'mjd' or 'seconds'), delimiter, tau0, units (see
+     *                         loadPhaseFromArray and loadFreqFromArray) and nominal (frequency in Hz, also
+     *                         read from "nominal" or "input frequency" headers).
+     * @returns {Allan.Dataset} This dataset.
+     */
+    loadFromText: function (text, options) {
+      var data = parseColumns(text, options || {});
+
+      if (!data.values.length) {
+        throw new Error('No numeric data in ' + ((options && options.source) || 'text'));
+      }
+      this.tau0 = data.tau0 || this.tau0;
+      this.nominal = data.nominal || this.nominal;
+      if (data.type === 'freq') {
+        this.loadFreqFromArray(data.values, options && options.units);
+      } else {
+        this.loadPhaseFromArray(data.values, options && options.units);
+      }
+      this.metadata = data.metadata;
+      this.metadata.tau0 = this.tau0;
+      return this;
+    },
+
+    /**
+     * Initializes the dataset from a multi-column or timestamped data file in a readable stream (Node.js).
+     *
+     * @param {Object} stream Readable stream of the data file.
+     * @param {Object} options Optional settings (see loadFromText).
+     * @returns {Promise} Promise of this dataset, once loaded.
+     */
+    loadFromStream: function (stream, options) {
+      var me = this;
+
+      return readStream(stream).then(function (text) {
+        return me.loadFromText(text, options);
+      });
+    },
+
+    /**
+     * Initializes the dataset from a local multi-column or timestamped data file (Node.js).
+     *
+     * @param {String} path Path of the data file.
+     * @param {Object} options Optional settings (see loadFromText).
+     * @returns {Promise} Promise of this dataset, once loaded.
+     */
+    loadFromFile: function (path, options) {
+      var me = this,
+          o = { source: path };
+
+      for (var key in options) {
+        o[key] = options[key];
+      }
+      return readStream(nodeRequire('fs').createReadStream(path)).then(function (text) {
+        return me.loadFromText(text, o);
+      });
+    },
+
+    /**
+     * Initializes the dataset from a multi-column or timestamped data file at a URL, asynchronously.
+     *
+     * @param {String} url URL of the data file.
+     * @param {Object} options Optional settings (see loadFromText), plus onProgress (see loadPhaseFromURL).
+     * @returns {Promise} Promise of this dataset, rejected on HTTP errors or if the file has no numeric data.
+     */
+    loadFromURL: function (url, options) {
+      var me = this,
+          o = { source: url };
+
+      for (var key in options) {
+        o[key] = options[key];
+      }
+      return fetchText(url, o.onProgress).then(function (text) {
+        return me.loadFromText(text, o);
+      });
+    },
+
+    /**
+     * Averaging time in seconds for an averaging factor.
+     *
+     * Results are cached in values indexed by this tau, rounded to 12
+     * significant digits so that e.g. 3 * 0.1 s is stored as 0.3. Theo
+     * estimators span 0.75 · m samples for an averaging factor m.
+     *
+     * @param {Number} m Averaging factor.
+     * @param {String} dev Estimator name (optional, e.g. 'THEO1').
+     * @returns {Number} Averaging time (tau) in seconds.
+     */
+    getTau: function (m, dev) {
+      var k = (dev && /^theo/i.test(dev)) ? 0.75 : 1;
+
+      return parseFloat((k * (m || 1) * this.tau0).toPrecision(12));
+    },
+
+    /**
+     * Average value of a subset of an array (NaN if it contains a gap).
+     *
+     * @private
+     * @param {Number} i index of the subset.
+     * @param {Number} m Averaging factor.
+     * @param {Array} a Array.
+     * @returns {Number} Average value of the subset of the array.
+     */
+    _arrayAvg: function (i, m, a) {
+      var avg = 0;
+
+      i = i || 0;
+      m = m || 0;
+      
+      for (var j = 0; j < m; j++) {
+        avg += a[i + j];
+      }
+      avg /= m;
+
+      return avg;
+    },
+
+    /**
+     * Computation engine storage: phase and frequency data as Float64Array,
+     * and the cumulative gap counts of _getGaps (all zeros if there are no
+     * gaps), so that the estimators' inner loops check a span for gaps with
+     * a single subtraction, g[j] - g[i] > 0.
+     *
+     * Frequency averages come from s, the prefix sums of y minus its mean
+     * (gaps count as 0), so any average takes two lookups:
+     *
+     * ȳ(i..i+m-1) = mean + [s(i+m) - s(i)] / m
+     *
+     * Removing the mean and Kahan summation keep the prefix sums small and
+     * accurate, within a few ε·|s| of the direct averages.
+     *
+     * Built on first use and cleared with the rest of the cache.
+     *
+     * @private
+     * @returns {Object} x, y, g and s typed arrays, and mean.
+     */
+    _getEngine: function () {
+      var gaps,
+          y,
+          s,
+          mean = 0,
+          n = 0,
+          sum = 0,
+          comp = 0,
+          v,
+          t;
+
+      if (this._engine === undefined) {
+        gaps = this._getGaps();
+        y = new Float64Array(this.y);
+        s = new Float64Array(y.length + 1);
+        for (var i = 0; i < y.length; i++) {
+          if (!isNaN(y[i])) {
+            mean += y[i];
+            n++;
+          }
+        }
+        mean = n ? mean / n : 0;
+        for (var i = 0; i < y.length; i++) {
+          v = (isNaN(y[i]) ? 0 : y[i] - mean) - comp;
+          t = sum + v;
+          comp = (t - sum) - v;
+          sum = t;
+          s[i + 1] = sum;
+        }
+        this._engine = {
+          x: new Float64Array(this.x),
+          y: y,
+          g: gaps ? new Float64Array(gaps) : new Float64Array(this.y.length + 1),
+          s: s,
+          mean: mean
+        };
+      }
+      return this._engine;
+    },
+
+    /**
+     * Cumulative count of gaps (NaN) in y: y[i..j-1] has g[j] - g[i] gaps.
+     *
+     * @private
+     * @returns {Array} Cumulative counts, or null if there are no gaps.
+     */
+    _getGaps: function () {
+      var g,
+          n = 0;
+
+      if (this._gaps === undefined) {
+        g = [0];
+        for (var i = 0, len = this.y.length; i < len; i++) {
+          if (isNaN(this.y[i])) {
+            n++;
+          }
+          g.push(n);
+        }
+        this._gaps = n ? g : null;
+      }
+      return this._gaps;
+    },
+
+    /**
+     * Checks whether a span of the phase data touches a gap.
+     *
+     * @private
+     * @param {Number} i index of the first phase sample.
+     * @param {Number} j index of the last phase sample.
+     * @returns {Boolean} true if any frequency sample between x(i) and x(j) is missing.
+     */
+    _hasGap: function (i, j) {
+      var g = this._getGaps();
+
+      return g !== null && g[Math.min(j, g.length - 1)] - g[Math.max(i, 0)] > 0;
+    },
+
+    /**
+     * Average value of a subset of x.
+     *
+     * @private
+     * @param {Number} i index of the subset.
+     * @param {Number} m Averaging factor.
+     * @returns {Number} Average value of the subset of x.
+     */
+    _phaseAvg: function (i, m) {
+      return this._arrayAvg(i, m, this.x);
+    },
+
+    /**
+     * Average value of a subset of y, from the prefix sums of the engine.
+     *
+     * @private
+     * @param {Number} i index of the subset.
+     * @param {Number} m Averaging factor.
+     * @returns {Number} Average value of the subset of y (NaN if it has a gap or ends past the data).
+     */
+    _freqAvg: function (i, m) {
+      var e = this._getEngine();
+
+      i = i || 0;
+      m = m || 0;
+      if (!m || i + m > e.y.length || e.g[i + m] - e.g[i] > 0) {
+        return NaN;
+      }
+      return e.mean + (e.s[i + m] - e.s[i]) / m;
+    },
+
+    /**
+     * Average of x.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} AVG.
+     */
+    getPhaseAvg: function (m) {
+      var tau,
+          sum = 0,
+          n = 0,
+          len = this.x.length;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.xavg[tau] === undefined) {
+        for (var i = 0, a; i + m <= len; i+=m) {
+          a = this._phaseAvg(i, m);
+          if (!isNaN(a)) {
+            sum += a;
+            n++;
+          }
+        }
+        this.values.xavg[tau] = sum / n;
+      }
+      return this.values.xavg[tau];
+    },
+
+    /**
+     * Average of y.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} AVG.
+     */
+    getFreqAvg: function (m) {
+      var tau,
+          sum = 0,
+          n = 0,
+          len = this.y.length;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.yavg[tau] === undefined) {
+        for (var i = 0, a; i + m <= len; i+=m) {
+          a = this._freqAvg(i, m);
+          if (!isNaN(a)) {
+            sum += a;
+            n++;
+          }
+        }
+        this.values.yavg[tau] = sum / n;
+      }
+      return this.values.yavg[tau];
+    },
+
+    /**
+     * Maximum value of x.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} Maximum value of x.
+     */
+    getPhaseMax: function (m) {
+      var tau,
+          tau;
+
+      m = m || 1;
+      tau = this.getTau(m);
+      if(this.values.xmax[tau] === undefined) {
+        this.values.xmax[tau] = -Infinity;
+        for (var i = 0, len = this.x.length, a; i + m <= len; i += m) {
+          a = this._phaseAvg(i, m);
+          if (a > this.values.xmax[tau]) {
+            this.values.xmax[tau] = a;
+          }
+        }
+      }
+      return this.values.xmax[tau];
+    },
+
+    /**
+     * Maximum value of y.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} Maximum value of y.
+     */
+    getFreqMax: function (m) {
+      var tau,
+          tau;
+
+      m = m || 1;
+      tau = this.getTau(m);
+      if(this.values.ymax[tau] === undefined) {
+        this.values.ymax[tau] = -Infinity;
+        for (var i = 0, len = this.y.length, a; i + m <= len; i += m) {
+          a = this._freqAvg(i, m);
+          if (a > this.values.ymax[tau]) {
+            this.values.ymax[tau] = a;
+          }
+        }
+      }
+      return this.values.ymax[tau];
+    },
+
+    /**
+     * Minimum value of x.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} Maximum value of x.
+     */
+    getPhaseMin: function (m) {
+      var tau,
+          tau;
+
+      m = m || 1;
+      tau = this.getTau(m);
+      if(this.values.xmin[tau] === undefined) {
+        this.values.xmin[tau] = Infinity;
+        for (var i = 0, len = this.x.length, a; i + m <= len; i += m) {
+          a = this._phaseAvg(i, m);
+          if (a < this.values.xmin[tau]) {
+            this.values.xmin[tau] = a;
+          }
+        }
+      }
+      return this.values.xmin[tau];
+    },
+
+    /**
+     * Minimum value of y.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} Maximum value of y.
+     */
+    getFreqMin: function (m) {
+      var tau,
+          tau;
+
+      m = m || 1;
+      tau = this.getTau(m);
+      if(this.values.ymin[tau] === undefined) {
+        this.values.ymin[tau] = Infinity;
+        for (var i = 0, len = this.y.length, a; i + m <= len; i += m) {
+          a = this._freqAvg(i, m);
+          if (a < this.values.ymin[tau]) {
+            this.values.ymin[tau] = a;
+          }
+        }
+      }
+      return this.values.ymin[tau];
+    },
+
+    /**
+     * Generate an object with values and options to be plotted by Flot.
+     *
+     * Phase is shown in the units it was loaded in, and axis labels are set
+     * for Flot's axislabels plugin.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Object} Object with values and options for Flot.
+     */
+    getPhasePlot: function (m) {
+      var tau,
+          k,
+          a,
+          d = [];
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      k = phaseScale(this.units.phase, this.nominal);
+      for (var i = 0, len = this.x.length; i < len; i += m) {
+        a = this._phaseAvg(i, m);
+        d.push([i * this.tau0, isNaN(a) ? null : a / k]);
+      }
+
+      return {
+        values: [
+          { 
+            label: 'x(' + tau + ')',
+            data: d
+          }
+        ],
+        options: {
+          series: {
+            lines: { show: true },
+            points: { show: true }
+          },
+          xaxis: { axisLabel: 't [s]' },
+          yaxis: { axisLabel: 'x(t) [' + this.units.phase + ']' }
+        }
+      };
+    },
+
+    /**
+     * Generate an object with values and options to be plotted by Flot.
+     *
+     * Frequency is shown in the units it was loaded in, and axis labels are
+     * set for Flot's axislabels plugin.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Object} Object with values and options for Flot.
+     */
+    getFreqPlot: function (m) {
+      var tau,
+          units = this.units.freq,
+          k = 1,
+          label = 'y(t)',
+          a,
+          d = [];
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      // Absolute frequency is shown as an offset from the nominal frequency, period as fractional frequency
+      if (FREQ_UNITS[units]) {
+        k = FREQ_UNITS[units] / this.nominal; // Δf [units] = y·nominal / FREQ_UNITS[units]
+        label = '\u0394f(t) [' + units + ']';
+      } else if (FRACTION_UNITS[units] && units !== 'fractional') {
+        k = FRACTION_UNITS[units];
+        label = 'y(t)' + (units ? ' [' + units + ']' : '');
+      }
+      for (var i = 0, len = this.y.length; i < len; i += m) {
+        a = this._freqAvg(i, m);
+        d.push([i * this.tau0, isNaN(a) ? null : a / k]);
+      }
+
+      return {
+        values: [
+          { 
+            label: 'y(' + tau + ')',
+            data: d
+          }
+        ],
+        options: {
+          series: {
+            lines: { show: true },
+            points: { show: true }
+          },
+          xaxis: { axisLabel: 't [s]' },
+          yaxis: { axisLabel: label }
+        }
+      };
+    },
+
+    /**
+     * Generate an object with values and options to be plotted by Flot.
+     *
+     * With a confidence level, each point carries its asymmetric error bars
+     * (requires Flot's errorbars plugin).
+     *
+     * @param {Array} d Array of strings with deviations to be plotted (e.g. ['ADEV', 'HDEV', 'MDEV']).
+     * @param {Object} options Optional settings: taus (spacing of the averaging factors to compute, see
+     *                         getAveragingFactors; octave for estimators with no cached values), confidence
+     *                         (level of the error bars, e.g. 0.683), alpha (noise exponent for the EDF) and
+     *                         masks (array of Allan.Mask objects or built-in mask names to overlay).
+     * @returns {Object} Object with values and options for Flot.
+     */
+    getSigmaTauPlot: function (d, options) {
+      var series = [],
+          v,
+          tau,
+          dname,
+          adev,
+          ci,
+          lo,
+          ms,
+          e, 
+          mask,
+          xmin,
+          xmax,
+          vmin = Infinity,
+          vmax = -Infinity,
+          expmin = Infinity,
+          expmax = -Infinity;
+
+      options = options || {};
+
+      for(var dev in d) {
+        dname = d[dev].toLowerCase();
+        v = [];
+        adev = this.values[dname];
+        if (options.taus || isEmpty(adev)) {
+          ms = this._getTableFactors(dname, options.taus);
+          for (var i = 0; i < ms.length; i++) {
+            this[ESTIMATORS[dname]](ms[i]);
+          }
+        }
+	for(var val in adev) {
+          tau = parseFloat(val);
+          if (adev[val] !== undefined && adev[val] !== 0) {
+            lo = adev[val];
+            if (options.confidence) {
+              ci = this.getConfidence(dname, Math.round(tau / this.getTau(1, dname)), options.confidence, options.alpha);
+              if (ci.min !== undefined) {
+                v.push([tau, adev[val], adev[val] - ci.min, ci.max - adev[val]]);
+                lo = ci.min;
+              } else {
+                v.push([tau, adev[val], 0, 0]);
+              }
+            } else {
+              v.push([tau, adev[val]]);
+            }
+            if (tau < vmin) {
+              vmin = tau;
+            }
+            if (tau > vmax) {
+              vmax = tau;
+            }            
+            e = Math.floor(Math.log(lo) / Math.LN10);
+            if (e < expmin) {
+              expmin = e;
+            }
+            e = Math.floor(Math.log(adev[val]) / Math.LN10);
+            if (e > expmax) {
+              expmax = e;
+            }
+          }
+        }
+        v.sort(function (a, b) { return a[0] - b[0]; });
+        if (options.confidence) {
+          series.push({
+            label: d[dev],
+            data: v,
+            points: {
+              show: true,
+              errorbars: 'y',
+              yerr: { show: true, asymmetric: true, upperCap: '-', lowerCap: '-' }
+            }
+          });
+        } else {
+          series.push({ label: d[dev], data: v });
+        }
+      }
+
+      xmin = Math.pow(10, Math.floor(Math.log(vmin) / Math.LN10));
+      xmax = Math.pow(10, Math.floor(Math.log(vmax) / Math.LN10) + 2);
+      for (var k = 0; options.masks && k < options.masks.length; k++) {
+        mask = (typeof options.masks[k] === 'string') ? Allan.masks[options.masks[k]] : options.masks[k];
+        v = [];
+        for (var j = 0; j < mask.points.length; j++) {
+          if (mask.points[j][0] > xmin && mask.points[j][0] < xmax) {
+            v.push(mask.points[j]);
+          }
+        }
+        // Clip the mask to the plotted tau range
+        if (mask.getLimit(xmin) !== undefined) {
+          v.unshift([xmin, mask.getLimit(xmin)]);
+        }
+        if (mask.getLimit(xmax) !== undefined) {
+          v.push([xmax, mask.getLimit(xmax)]);
+        }
+        series.push({ label: mask.name, data: v, lines: { show: true }, points: { show: false } });
+      }
+
+      return {
+        values: series,
+        options: {
+          series: {
+            lines: { show: true },
+            points: { show: true }
+          },
+          xaxis: {
+            min: xmin,
+            max: xmax,
+            axisLabel: '\u03c4 [s]',
+            ticks: function (axis) {
+              var min,
+                  max,
+                  ticks = [];
+              min = (axis.min !== 0) ? Math.floor(Math.log(axis.min) / Math.LN10) - 1 : 0;
+              min = Math.pow(10, min);
+              max = (axis.max !== 0) ? Math.floor(Math.log(axis.max) / Math.LN10) : 0;
+              max = Math.pow(10, max);
+              for (var o = min; o < max; o *= 10) {
+                ticks.push([o, '10' + (Math.round(Math.log(o)/Math.LN10)).toString().sup()]);
+                for (var i = 2; i < 10; i++) {
+                  ticks.push([o * i, '']);
+                }
+              }
+              ticks.push([Math.pow(10, Math.floor(Math.log(vmax) / Math.LN10) + 2), '\u03c4']);
+              return ticks;
+            },
+            transform: function (v) { return Math.log(v) / Math.LN10; },
+            inverseTransform: function (v) { return Math.pow(10, v); }
+          },
+          yaxis: {
+            min: Math.pow(10, expmin),
+            max: Math.pow(10, expmax + 2),
+            ticks: function () {
+              var min = Math.pow(10, expmin),
+                  max = Math.pow(10, (expmax + 2)),
+                  ticks = [];
+              for (var o = min; o < max; o *= 10) {
+                ticks.push([o, '10' + (Math.round(Math.log(o)/Math.LN10)).toString().sup()]);
+                for (var i = 2; i < 10; i++) {
+                  ticks.push([o * i, '']);
+                }
+              }
+              ticks.push([max, '\u03c3(\u03c4)']);
+              return ticks;
+            }, 
+            transform: function (v) { 
+              if (v === 0) {
+                v = parseFloat('1e' + expmin);
+              }
+              return Math.log(v) / Math.LN10; 
+            },
+            inverseTransform: function (v) { return Math.pow(10, v); }
+          }
+        }
+      };
+    },
+
+    /**
+     * Power spectral density of the phase or frequency data, by Welch's
+     * method: averaged periodograms of windowed, overlapping segments with
+     * their mean removed. Segments with gaps are skipped.
+     *
+     * One-sided density, for 0 < f ≤ 1 / 2τ0:
+     *
+     *           2·τ0       |  L-1                     |²
+     * S(fk) = -------- · avg | Σ w(i)·v(i)·e^(-2πjik/L) |  ; fk = k / L·τ0
+     *          Σ w(i)²     |  i=0                     |
+     *
+     * (not doubled at the Nyquist frequency).
+     *
+     * @param {String} data 'x' for S_x(f) of the phase data (s²/Hz) or 'y' for S_y(f) of the frequency data (1/Hz, default).
+     * @param {Object} options Optional settings: segment (length, rounded down to a power of two; a quarter of the
+     *                         data by default), window ('hann' by default, 'hamming', 'blackman' or 'rectangular')
+     *                         and overlap (fraction of a segment, 0.5 by default).
+     * @returns {Object} type ('x' or 'y'), f (Array of frequencies in Hz), psd (Array of densities), window, segment and segments (number averaged).
+     */
+    getPsd: function (data, options) {
+      var type = (data === 'x') ? 'x' : 'y',
+          v = this[type],
+          len = v.length,
+          L = 1,
+          w = [],
+          ww = 0,
+          step,
+          window,
+          re,
+          im,
+          mean,
+          sum,
+          segments = 0,
+          f = [],
+          psd = [];
+
+      options = options || {};
+      window = options.window || 'hann';
+      if (!WINDOWS[window]) {
+        throw new Error('Unknown window: ' + window);
+      }
+      while (L * 2 <= (options.segment || Math.max(len / 4, Math.min(len, 16)))) {
+        L *= 2;
+      }
+      step = Math.max(1, Math.round(L * (1 - (options.overlap !== undefined ? options.overlap : 0.5))));
+      for (var i = 0; i < L; i++) {
+        w[i] = WINDOWS[window](i, L);
+        ww += w[i] * w[i];
+      }
+      re = new Float64Array(L);
+      im = new Float64Array(L);
+      sum = new Float64Array(L / 2 + 1);
+
+      for (var s = 0; L >= 2 && s + L <= len; s += step) {
+        mean = 0;
+        for (var i = 0; i < L && !isNaN(v[s + i]); i++) {
+          mean += v[s + i];
+        }
+        if (i < L) { // Gap in the segment
+          continue;
+        }
+        mean /= L;
+        for (var i = 0; i < L; i++) {
+          re[i] = (v[s + i] - mean) * w[i];
+          im[i] = 0;
+        }
+        fft(re, im);
+        for (var k = 1; k <= L / 2; k++) {
+          sum[k] += re[k] * re[k] + im[k] * im[k];
+        }
+        segments++;
+      }
+
+      for (var k = 1; segments && k <= L / 2; k++) {
+        f.push(k / (L * this.tau0));
+        psd.push(((k < L / 2) ? 2 : 1) * this.tau0 * sum[k] / (ww * segments));
+      }
+      return {
+        type: type,
+        f: f,
+        psd: psd,
+        window: window,
+        segment: L,
+        segments: segments
+      };
+    },
+
+    /**
+     * Generate an object with a spectral density to be plotted by Flot, in
+     * log-log scale (linear dBc/Hz for L(f)).
+     *
+     * @param {String} type Density to plot: 'x', 'y' (default), 'phi' or 'L' (the last two need options.carrier).
+     * @param {Object} options Optional settings: carrier (frequency in Hz), data ('x' or 'y', the data to analyze;
+     *                         the phase data by default, except for S_y(f)), the getPsd settings (segment, window
+     *                         and overlap) and h (power-law levels by alpha exponent, e.g. { '0': 1e-22 }, plotted
+     *                         as S_y(f) = h·f^alpha lines).
+     * @returns {Object} Object with values and options for Flot.
+     */
+    getPsdPlot: function (type, options) {
+      var series = [],
+          spectrum,
+          line,
+          d = [],
+          fmin,
+          fmax,
+          log = function (v) { return Math.log(v) / Math.LN10; },
+          ticks = function (axis, label) {
+            var t = [];
+            for (var o = Math.pow(10, Math.floor(log(axis.min))); o < axis.max; o *= 10) {
+              t.push([o, '10' + (Math.round(log(o))).toString().sup()]);
+              for (var i = 2; i < 10; i++) {
+                t.push([o * i, '']);
+              }
+            }
+            t.push([axis.max, label]);
+            return t;
+          },
+          logAxis = function (label, units) {
+            return {
+              axisLabel: label + ' [' + units + ']',
+              ticks: function (axis) { return ticks(axis, label); },
+              transform: log,
+              inverseTransform: function (v) { return Math.pow(10, v); }
+            };
+          };
+
+      type = type || 'y';
+      options = options || {};
+      spectrum = Allan.convertPsd(this.getPsd(options.data || (type === 'y' ? 'y' : 'x'), options), type, options.carrier);
+      for (var i = 0; i < spectrum.f.length; i++) {
+        if ((type === 'L') ? isFinite(spectrum.psd[i]) : spectrum.psd[i] > 0) {
+          d.push([spectrum.f[i], spectrum.psd[i]]);
+        }
+      }
+      series.push({ label: SPECTRA[type].label, data: d });
+
+      fmin = spectrum.f[0];
+      fmax = spectrum.f[spectrum.f.length - 1];
+      for (var alpha in options.h || {}) {
+        line = Allan.convertPsd({
+          type: 'y',
+          f: [fmin, fmax],
+          psd: [options.h[alpha] * Math.pow(fmin, alpha), options.h[alpha] * Math.pow(fmax, alpha)]
+        }, type, options.carrier);
+        series.push({
+          label: NOISE_LABELS[alpha] + ' (h' + alpha + ' = ' + options.h[alpha] + ')',
+          data: [[fmin, line.psd[0]], [fmax, line.psd[1]]],
+          lines: { show: true },
+          points: { show: false }
+        });
+      }
+
+      return {
+        values: series,
+        options: {
+          series: {
+            lines: { show: true },
+            points: { show: false }
+          },
+          xaxis: logAxis('f', 'Hz'),
+          yaxis: (type === 'L') ? { axisLabel: SPECTRA.L.label + ' [dBc/Hz]' } : logAxis(SPECTRA[type].label, SPECTRA[type].units)
+        }
+      };
+    },
+
+    /**
+     * Standard Deviation of the dataset.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} STDEV.
+     */
+    getStdev: function (m) {
+      var tau,
+          sum = 0,
+          n = 0,
+          len = this.y.length,
+          a;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.stdev[tau] === undefined) {
+        a = this.getFreqAvg(m);
+        for (var i = 0, v; i + m <= len; i+=m) {
+          v = this._freqAvg(i, m) - a;
+          if (!isNaN(v)) {
+            sum += v * v;
+            n++;
+          }
+        }
+        this.counts.stdev[tau] = n;
+        this.values.stdev[tau] = Math.sqrt(sum / (n - 1));
+      }
+      return this.values.stdev[tau];
+    },
+
+    /**
+     * Allan Deviation of the dataset.
+     *
+     * Square root of AVAR:
+     *
+     *              1    N-2
+     * s²y(t) = -------- Σ   [ x(i+2) - 2x(i+1) + x(i) ]²
+     *          2t²(N-2) i=1
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} ADEV.
+     */
+    getAdev: function (m) {
+      var tau,
+          e = this._getEngine(),
+          x = e.x,
+          g = e.g,
+          n = 0,
+          sum = 0;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.adev[tau] === undefined) {
+        for (var i = 0, len = x.length, v; i < len - 2 * m; i+=m) {
+          if (g[i + 2 * m] - g[i] > 0) {
+            continue;
+          }
+          v = x[i + 2 * m] - 2 * x[i + m] + x[i];
+          sum += v * v;
+          n++;
+        }
+        this.counts.adev[tau] = n;
+        this.values.adev[tau] = (n > MIN_SAMPLES) ? Math.sqrt(sum / (2 * n)) / (m * this.tau0) : 0;
+      }
+      return this.values.adev[tau];
+    },
+
+    /**
+     * Overlapping Allan Deviation of the dataset.
+     *
+     * Square root of overlapping AVAR:
+     *
+     *              1     N-2m
+     * s²y(t) = --------- Σ   [ x(i+2m) - 2x(i+m) + x(i) ]²
+     *          2t²(N-2m) i=1
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} OADEV.
+     */
+    getOadev: function (m) {
+      var tau,
+          r;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.oadev[tau] === undefined) {
+        r = this._oadevTerms(m);
+        this.counts.oadev[tau] = r.n;
+        this.values.oadev[tau] = r.value;
+      }
+      return this.values.oadev[tau];
+    },
+
+    /**
+     * Overlapping Allan deviation without caching it (see getOadev).
+     *
+     * @private
+     * @param {Number} m Averaging factor.
+     * @returns {Object} value (OADEV, 0 if there are not enough terms) and n (number of terms).
+     */
+    _oadevTerms: function (m) {
+      var e = this._getEngine(),
+          x = e.x,
+          g = e.g,
+          n = 0,
+          sum = 0;
+
+      for (var i = 0, len = x.length, v; i < len - 2 * m; i++) {
+        if (g[i + 2 * m] - g[i] > 0) {
+          continue;
+        }
+        v = x[i + 2 * m] - 2 * x[i + m] + x[i];
+        sum += v * v;
+        n++;
+      }
+      return { value: (n > MIN_SAMPLES) ? Math.sqrt(sum / (2 * n)) / (m * this.tau0) : 0, n: n };
+    },
+
+    /**
+     * Caches OADEV, OHDEV or MDEV for many averaging factors at once, from
+     * the sums of squared differences of differenceSums, in O(N·log²N)
+     * operations instead of O(N) (OADEV, OHDEV) or more (MDEV) per tau.
+     *
+     * MDEV takes third differences of the prefix sums of the phase, X(k):
+     *
+     *  j+m-1
+     *   Σ   [x(i+2m) - 2x(i+m) + x(i)] = X(j+3m) - 3X(j+2m) + 3X(j+m) - X(j)
+     *   i=j
+     *
+     * The polynomial that the differences cancel (a line for OADEV, a
+     * parabola for the others) is removed from the data first, to keep the
+     * sums of squares small. Taus whose error bound exceeds FAST_TOLERANCE
+     * of the variance (e.g. the short ones of random walk FM), data with
+     * gaps and requests for fewer than log2²(N) taus are left to the
+     * getters.
+     *
+     * @private
+     * @param {String} name Lowercase estimator name (others than 'oadev', 'ohdev' or 'mdev' do nothing).
+     * @param {Array} ms Averaging factors.
+     * @returns nothing.
+     */
+    _fastTerms: function (name, ms) {
+      var estimator = FAST_ESTIMATORS[name],
+          x = this._getEngine().x,
+          N = x.length,
+          todo = [],
+          M = 0,
+          P,
+          a,
+          fit,
+          d,
+          r,
+          b,
+          K,
+          sum = 0,
+          comp = 0,
+          v,
+          t,
+          tau;
+
+      if (!estimator || this._getGaps()) {
+        return;
+      }
+      if (estimator.sums) {
+        // Kahan summation of the phase
+        a = new Float64Array(N + 1);
+        for (var i = 0; i < N; i++) {
+          v = x[i] - comp;
+          t = sum + v;
+          comp = (t - sum) - v;
+          sum = t;
+          a[i + 1] = sum;
+        }
+        N++;
+      } else {
+        a = x;
+      }
+      P = estimator.w.length - 1;
+      for (var i = 0; i < ms.length; i++) {
+        if (ms[i] >= 1 && P * ms[i] < N && this.values[name][this.getTau(ms[i])] === undefined) {
+          todo.push(ms[i]);
+          M = Math.max(M, ms[i]);
+        }
+      }
+      if (todo.length < Math.pow(Math.log(N) / Math.LN2, 2)) {
+        return;
+      }
+
+      b = function (i) {
+        var u = i / (N - 1),
+            row = [1];
+
+        for (var j = 1; j < P; j++) {
+          row[j] = row[j - 1] * u;
+        }
+        return row;
+      };
+      fit = leastSquares(b, a);
+      if (!fit.coef.length) {
+        return;
+      }
+      d = new Float64Array(N);
+      for (var i = 0; i < N; i++) {
+        d[i] = a[i];
+        for (var j = 0, row = b(i); j < P; j++) {
+          d[i] -= fit.coef[j] * row[j];
+        }
+      }
+
+      r = differenceSums(d, estimator.w, M);
+      for (var i = 0; i < todo.length; i++) {
+        K = N - P * todo[i];
+        if (!(r.error <= FAST_TOLERANCE * r.sums[todo[i]])) {
+          continue;
+        }
+        tau = this.getTau(todo[i]);
+        v = r.sums[todo[i]] / (estimator.k * K * (estimator.sums ? todo[i] * todo[i] : 1));
+        this.counts[name][tau] = K;
+        this.values[name][tau] = (K > MIN_SAMPLES) ? Math.sqrt(v) / (todo[i] * this.tau0) : 0;
+      }
+    },
+
+    /**
+     * Fills the cache ahead of a table of many taus (see _fastTerms): the
+     * estimator itself, and the MDEV that noise identification compares
+     * with ADEV at long taus (see getNoiseId).
+     *
+     * @private
+     * @param {String} name Lowercase estimator name.
+     * @param {Array} ms Averaging factors.
+     * @returns nothing.
+     */
+    _fastTable: function (name, ms) {
+      var longTaus = [];
+
+      this._fastTerms(name, ms);
+      for (var i = 0; i < ms.length; i++) {
+        if (this.y.length / ms[i] < ACF_MIN_SAMPLES) {
+          longTaus.push(ms[i]);
+        }
+      }
+      this._fastTerms('mdev', longTaus);
+    },
+
+    /**
+     * Modified Allan Deviation of the dataset.
+     *
+     * Square root of MVAR:
+     *
+     *                    1       N-3m+1   j+m-1
+     * Mod s²y(t) = ------------- Σ      { Σ   [x(i+2m) - 2x(i+m) + x(i) ] }²
+     *              2m²t²(N-3m+1) j=1      i=j
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} MDEV.
+     * 
+     * Based on Tom Van Baak's unnested loops version, restarted after each gap
+     */
+    getMdev: function (m) {
+      var tau,
+          e = this._getEngine(),
+          x = e.x,
+          g = e.g,
+          n = 0,
+          sum = 0,
+          v = 0,
+          i;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.mdev[tau] === undefined) {
+        for (var j = 0, len = x.length, running = false; j <= len - 3 * m; j++) {
+          if (g[j + 3 * m - 1] - g[j] > 0) {
+            running = false;
+            continue;
+          }
+          if (running) {
+            i = j - 1;
+            v += x[i + 3 * m] - 3 * x[i + 2 * m] + 3 * x[i + m] - x[i];
+          } else {
+            // (Re)start the running sum at the beginning or after a gap
+            v = 0;
+            for (i = j; i < j + m; i++) {
+              v += x[i + 2 * m] - 2 * x[i + m] + x[i];
+            }
+            running = true;
+          }
+          sum += v * v;
+          n++;
+        }
+        this.counts.mdev[tau] = n;
+        this.values.mdev[tau] = (n > MIN_SAMPLES) ? Math.sqrt(sum / (2 * m * m * n)) / (m * this.tau0) : 0;
+      }
+      return this.values.mdev[tau];
+    },
+
+    /**
+     * Time Deviation of the dataset.
+     *
+     * Square root of TVAR:
+     *
+     * s²x(t) = (t²/3) · Mod s²y(t)
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} TDEV.
+     */
+    getTdev: function (m) {
+      var tau,
+          dev = 0;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.tdev[tau] === undefined) {
+        dev = this.getMdev(m);
+        this.counts.tdev[tau] = this.counts.mdev[tau];
+        this.values.tdev[tau] = dev * m * this.tau0 / Math.sqrt(3);
+      }
+      return this.values.tdev[tau];
+    },
+
+    /**
+     * Hadamard Deviation of the dataset.
+     *
+     * Square root of HVAR:
+     *
+     *              1     N-3
+     * Hs²y(t) = -------- Σ   [ x(i+3) - 3x(i+2) + 3x(i+1) - x(i) ]²
+     *           6t²(N-3) i=1
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} HDEV.
+     */
+    getHdev: function (m) {
+      var tau,
+          e = this._getEngine(),
+          x = e.x,
+          g = e.g,
+          n = 0,
+          sum = 0;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.hdev[tau] === undefined) {
+        for (var i = 0, len = x.length, v; i < len - 3 * m; i+=m) {
+          if (g[i + 3 * m] - g[i] > 0) {
+            continue;
+          }
+          v = x[i + 3 * m] - 3 * x[i + 2 * m] + 3 * x[i + m] - x[i];
+          sum += v * v;
+          n++;
+        }
+        this.counts.hdev[tau] = n;
+        this.values.hdev[tau] = (n > MIN_SAMPLES) ? Math.sqrt(sum / (6 * n)) / (m * this.tau0) : 0;
+      }
+      return this.values.hdev[tau];
+    },
+
+    /**
+     * Overlapping Hadamard Deviation of the dataset.
+     *
+     * Square root of overlapping HVAR:
+     *
+     *              1      N-3m
+     * Hs²y(t) = --------- Σ   [ x(i+3m) - 3x(i+2m) + 3x(i+m) - x(i) ]²
+     *           6t²(N-3m) i=1
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} OHDEV.
+     */
+    getOhdev: function (m) {
+      var tau,
+          e = this._getEngine(),
+          x = e.x,
+          g = e.g,
+          n = 0,
+          sum = 0;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.ohdev[tau] === undefined) {
+        for (var i = 0, len = x.length, v; i < len - 3 * m; i++) {
+          if (g[i + 3 * m] - g[i] > 0) {
+            continue;
+          }
+          v = x[i + 3 * m] - 3 * x[i + 2 * m] + 3 * x[i + m] - x[i];
+          sum += v * v;
+          n++;
+        }
+        this.counts.ohdev[tau] = n;
+        this.values.ohdev[tau] = (n > MIN_SAMPLES) ? Math.sqrt(sum / (6 * n)) / (m * this.tau0) : 0;
+      }
+      return this.values.ohdev[tau];
+    },
+
+    /**
+     * Total Deviation of the dataset.
+     *
+     * Square root of TOTVAR:
+     *
+     *                  1    N-1
+     * s²total(t) = -------- Σ   [ x*(i-m) - 2x*(i) + x*(i+m) ]²
+     *              2t²(N-2) i=2
+     *
+     * Corrected for the flicker and random walk FM bias B = 1 - a·t/T.
+     * The reflected points x* are read from the data in place, so each tau
+     * takes O(N) operations.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} TOTDEV.
+     */
+    getTotdev: function (m) {
+      var tau,
+          e = this._getEngine(),
+          x = e.x,
+          g = e.g,
+          n = 0,
+          sum = 0,
+          len = x.length,
+          last = len - 1,
+          bias,
+          a,
+          b;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.totdev[tau] === undefined) {
+        if (m <= len - 1) {
+          for (var i = 1, v; i < len - 1; i++) {
+            // Reflected points x*(i-m) = 2x(0) - x(m-i) and x*(i+m) = 2x(N-1) - x(2(N-1)-i-m)
+            if (g[Math.min(i + m, last)] - g[Math.max(i - m, 0)] > 0) {
+              continue;
+            }
+            a = (i - m < 0) ? 2 * x[0] - x[m - i] : x[i - m];
+            b = (i + m > last) ? 2 * x[last] - x[2 * last - i - m] : x[i + m];
+            v = a - 2 * x[i] + b;
+            sum += v * v;
+            n++;
+          }
+          sum /= 2;
+        }
+        bias = 1 - (TOTVAR_BIAS[this.getNoiseId(m).alpha] || 0) * m / (len - 1);
+        this.counts.totdev[tau] = n;
+        this.values.totdev[tau] = (n > MIN_SAMPLES) ? Math.sqrt(sum / n / bias) / (m * this.tau0) : 0;
+      }
+      return this.values.totdev[tau];
+    },
+
+    /**
+     * Modified Total Deviation of the dataset.
+     *
+     * Square root of MTOTVAR:
+     *
+     *                         1       N-3m+1    1   n+3m-1
+     * Mod s²total(t) = -------------- Σ      { ---  Σ      [0zi*(m)]² }
+     *                  2m²t0²(N-3m+1) n=1       6m  i=n-3m
+     *
+     * Corrected for the bias of the identified noise type. Each tau takes
+     * O(N·m) operations (see reflectedSum).
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} MTOTDEV.
+     */
+    getMtotdev: function (m) {
+      var tau,
+          e = this._getEngine(),
+          g = e.g,
+          len = e.x.length,
+          buf,
+          c = 0,
+          d = 0,
+          bias;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.mtotdev[tau] === undefined) {
+        buf = new Float64Array(9 * m);
+        for (var n = 0; n < len - 3 * m + 1; n++) {
+          if (g[n + 3 * m - 1] - g[n] > 0) {
+            continue;
+          }
+          d += reflectedSum(e.x, n, m, buf) / (6 * m);
+          c++;
+        }
+        d /= 2 * c;
+        bias = MTOTVAR_BIAS[this.getNoiseId(m).alpha] || MTOTVAR_BIAS[0];
+        this.counts.mtotdev[tau] = c;
+        this.values.mtotdev[tau] = (c > MIN_SAMPLES) ? Math.sqrt(d / bias) / (m * this.tau0) : 0;
+      }
+      return this.values.mtotdev[tau];
+    },
+
+    /**
+     * Time Total Deviation of the dataset.
+     *
+     * Square root of TTOTVAR:
+     *
+     * Total s²x(t) = (t²/3) · Mod s²total(t) 
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} TTOTDEV.
+     */
+    getTtotdev: function (m) {
+      var tau,
+          dev = 0;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.ttotdev[tau] === undefined) {
+        dev = this.getMtotdev(m);
+        this.counts.ttotdev[tau] = this.counts.mtotdev[tau];
+        this.values.ttotdev[tau] = dev * m * this.tau0 / Math.sqrt(3);
+      }
+      return this.values.ttotdev[tau];
+    },
 
     /**
-     * Converts an array of sequential time-error values into a fractional frequency values array.
+     * Hadamard Total Deviation of the dataset.
      *
-     * @param {Array} x Array of sequential time-error values.
-     * @param {Array} m Averaging time.
-     * @returns {Array} Array of fractional frequency values.
+     * Square root of HTOTVAR:
+     *
+     *                     1     N-3m+1    1   n+3m-1
+     * Total Hs²y(t) = --------- Σ      { ---  Σ      [Hi(m)]² }
+     *                 6(N-3m+1) n=1       6m  i=n-3m
+     *
+     * Corrected for the bias of the identified FM noise type (white FM
+     * for PM noise, which HTOTVAR is not meant for). Each tau takes O(N·m)
+     * operations (see reflectedSum). For m = 1 it is the overlapping
+     * Hadamard deviation, as in Stable32.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} HTOTDEV.
      */
-    phaseToFreq: function (x, m) {
-      var y = [];
+    getHtotdev: function (m) {
+      var tau,
+          e = this._getEngine(),
+          g = e.g,
+          len = e.y.length,
+          buf,
+          c = 0,
+          d = 0,
+          bias;
 
       m = m || 1;
+      tau = this.getTau(m);
 
-      for (var i = 0, len = x.length; i + 1 < len; i++) {
-        y[i] = (x[i + 1] - x[i]) / m;
+      if(this.values.htotdev[tau] === undefined && m === 1) {
+        this.values.htotdev[tau] = this.getOhdev(1);
+        this.counts.htotdev[tau] = this.counts.ohdev[tau];
+      }
+      if(this.values.htotdev[tau] === undefined) {
+        buf = new Float64Array(9 * m);
+        for (var n = 0; n < len - 3 * m + 1; n++) {
+          if (g[n + 3 * m] - g[n] > 0) {
+            continue;
+          }
+          d += reflectedSum(e.y, n, m, buf) / (6 * m);
+          c++;
+        }
+        d /= 6 * c;
+        bias = HTOTVAR_BIAS[this.getNoiseId(m).alpha] || HTOTVAR_BIAS[0];
+        this.counts.htotdev[tau] = c;
+        this.values.htotdev[tau] = (c > MIN_SAMPLES) ? Math.sqrt(d / bias) : 0;
       }
+      return this.values.htotdev[tau];
+    },
 
-      return y;
+    /**
+     * Maximum Time Interval Error of the dataset.
+     *
+     * Largest peak-to-peak phase excursion over every window of m + 1
+     * phase samples:
+     *
+     * MTIE(t) = max    [ max       x(i) - min       x(i) ]
+     *          0≤k≤N-m  k≤i≤k+m           k≤i≤k+m
+     *
+     * Sliding maximum and minimum are tracked with monotonic queues, so each
+     * tau takes linear time whatever the window size.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} MTIE in seconds.
+     */
+    getMtie: function (m) {
+      var tau,
+          x = this.x,
+          len = x.length,
+          qmax = [],
+          qmin = [],
+          hmax = 0,
+          hmin = 0,
+          n = 0,
+          mtie = 0,
+          k,
+          v;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.mtie[tau] === undefined) {
+        for (var i = 0; i < len; i++) {
+          if (!isNaN(x[i])) {
+            while (qmax.length > hmax && x[qmax[qmax.length - 1]] <= x[i]) {
+              qmax.pop();
+            }
+            qmax.push(i);
+            while (qmin.length > hmin && x[qmin[qmin.length - 1]] >= x[i]) {
+              qmin.pop();
+            }
+            qmin.push(i);
+          }
+          k = i - m; // Start of the window ending at i
+          if (k < 0) {
+            continue;
+          }
+          while (hmax < qmax.length && qmax[hmax] < k) {
+            hmax++;
+          }
+          while (hmin < qmin.length && qmin[hmin] < k) {
+            hmin++;
+          }
+          if (this._hasGap(k, i)) {
+            continue;
+          }
+          v = x[qmax[hmax]] - x[qmin[hmin]];
+          if (v > mtie) {
+            mtie = v;
+          }
+          n++;
+        }
+        this.counts.mtie[tau] = n;
+        this.values.mtie[tau] = (n > 0) ? mtie : 0;
+      }
+      return this.values.mtie[tau];
     },
 
     /**
-     * Converts an array of fractional frequency values into a sequential time-error values array.
+     * rms Time Interval Error of the dataset.
      *
-     * @param {Array} y Array of fractional frequency values.
-     * @param {Array} m Averaging time.
-     * @returns {Array} Array of sequential time-error values.
+     *                 1    N-m
+     * TIErms(t) = [ ----- Σ   [ x(i+m) - x(i) ]² ]½
+     *               N-m   i=1
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} TIE rms in seconds.
      */
-    freqToPhase: function (y, m) {
-      var x = [0];
+    getTierms: function (m) {
+      var tau,
+          n = 0,
+          sum = 0;
 
       m = m || 1;
+      tau = this.getTau(m);
 
-      for (var i = 1, len = y.length; i <= len; i++) {
-        x[i] = x[i - 1] + y[i - 1] * m;
+      if(this.values.tierms[tau] === undefined) {
+        for (var i = 0, len = this.x.length, v; i < len - m; i++) {
+          if (this._hasGap(i, i + m)) {
+            continue;
+          }
+          v = this.x[i + m] - this.x[i];
+          sum += v * v;
+          n++;
+        }
+        this.counts.tierms[tau] = n;
+        this.values.tierms[tau] = (n > MIN_SAMPLES) ? Math.sqrt(sum / n) : 0;
       }
+      return this.values.tierms[tau];
+    },
 
-      return x;
+    /**
+     * Theo1 deviation of the dataset, for even averaging factors 10 ≤ m ≤ N-1
+     * (NIST SP 1065). Reaches tau = 0.75 · m · tau0, up to 75% of
+     * the record length.
+     *
+     *                      1          N-m  m/2-1     1
+     * Theo1(t) = ------------------ Σ    Σ      ------- [ (x(i) - x(i-δ+m/2)) + (x(i+m) - x(i+δ+m/2)) ]²
+     *            0.75 (N-m) (m·t0)²  i=1  δ=0   m/2 - δ
+     *
+     * Each term takes m/2 operations, so a whole sigma-tau table is O(N²).
+     *
+     * @param {Number} m Averaging factor (tau = 0.75 · m · tau0).
+     * @returns {Number} Theo1 deviation.
+     */
+    getTheo1: function (m) {
+      var tau,
+          r;
+
+      m = m || 1;
+      tau = this.getTau(m, 'theo1');
+
+      if(this.values.theo1[tau] === undefined) {
+        r = this._theo1Terms(m);
+        this.counts.theo1[tau] = r.n;
+        this.values.theo1[tau] = r.value;
+      }
+      return this.values.theo1[tau];
     },
 
     /**
-     * Initializes the array of sequential time-error values (x) from an array.
+     * Theo1 deviation without caching it (see getTheo1).
      *
-     * @param {Array} phase Array of sequential time-error values.
-     * @returns nothing.
+     * @private
+     * @param {Number} m Averaging factor.
+     * @returns {Object} value (Theo1, 0 if m is odd, below 10 or too large) and n (number of terms).
      */
-    loadPhaseFromArray: function (phase) {
-      this.x = phase;
-      this.y = this.phaseToFreq(phase);
+    _theo1Terms: function (m) {
+      var x = this.x,
+          h = m / 2,
+          n = 0,
+          sum = 0;
+
+      if (m % 2 === 0 && m >= 10) {
+        for (var i = 0, len = x.length, a; i < len - m; i++) {
+          if (this._hasGap(i, i + m)) {
+            continue;
+          }
+          for (var d = 0; d < h; d++) {
+            a = x[i] - x[i + h - d] + x[i + m] - x[i + h + d];
+            sum += a * a / (h - d);
+          }
+          n++;
+        }
+      }
+      return { value: (n > 0) ? Math.sqrt(sum / (0.75 * n * Math.pow(m * this.tau0, 2))) : 0, n: n };
     },
-    
+
     /**
-     * Initializes the array of sequential time-error values (x) from a URL.
+     * Bias-removed Theo1 deviation of the dataset (NIST SP 1065).
      *
-     * @param {String} url URL containing the multi-line data file.
-     * @returns nothing.
+     * Theo1 scaled by the average ratio of Allan to Theo1 variances over the
+     * short taus where both are known, with n = floor(0.1 N / 3 - 3):
+     *
+     *                  1    n    AVAR(m = 9+3i)
+     * TheoBR(t) = [ ----- Σ   ----------------- ] Theo1(t)²
+     *               n+1  i=0   Theo1(m = 12+4i)
+     *
+     * Each Theo1 term takes O(N·m) operations, so the full ratio would be
+     * O(N³). When n + 1 > 16 this is an approximation: the ratio is
+     * averaged over 16 evenly spaced i only, which takes O(N²) operations
+     * once per dataset (about a second for 2·10⁴ points, a quarter of an
+     * hour for 6·10⁵). The terms are not cached in theo1 and oadev.
+     *
+     * @param {Number} m Averaging factor (tau = 0.75 · m · tau0).
+     * @returns {Number} TheoBR deviation (NaN if no term of the ratio could be computed).
      */
-    loadPhaseFromURL: function (url) {
-      var request = new XMLHttpRequest(),
-          me = this;
-
-      request.open('GET', url, false);
-      request.onreadystatechange = (function () {
-        return function () {
-          var a, n, x;
-          if (request.readyState == 4) {
-            x = [];
-            a = request.response.split('\r\n');
-            for (var i = 0, len = a.length; i < len; i++) {
-              n = parseFloat(a[i]);
-              if (!isNaN(n)) {
-                x.push(n);
-              }
+    getTheobr: function (m) {
+      var tau,
+          n,
+          c = 0,
+          sum = 0,
+          theo,
+          adev;
+
+      m = m || 1;
+      tau = this.getTau(m, 'theobr');
+
+      if(this.values.theobr[tau] === undefined) {
+        if (this._theoRatio === undefined) {
+          n = Math.floor(0.1 * this.x.length / 3 - 3);
+          for (var k = 0, i, last; k < THEOBR_RATIO_SAMPLES && n >= 0; k++) {
+            i = (n < THEOBR_RATIO_SAMPLES) ? k : Math.round(k * n / (THEOBR_RATIO_SAMPLES - 1));
+            if (i > n || i === last) {
+              continue;
+            }
+            last = i;
+            theo = this._theo1Terms(12 + 4 * i).value;
+            adev = this._oadevTerms(9 + 3 * i).value;
+            if (theo > 0 && adev > 0) {
+              sum += Math.pow(adev / theo, 2);
+              c++;
             }
-            me.loadPhaseFromArray(x);
           }
-        };
-      })(me);
-      request.send();
+          this._theoRatio = c ? sum / c : NaN; // Unknown, not zero
+        }
+        theo = this.getTheo1(m);
+        this.counts.theobr[tau] = this.counts.theo1[tau];
+        this.values.theobr[tau] = theo * Math.sqrt(this._theoRatio);
+      }
+      return this.values.theobr[tau];
     },
-    
+
     /**
-     * Initializes the array of fractional frequency values (y) from an array.
+     * Hybrid Theo deviation of the dataset (NIST SP 1065).
      *
-     * @param {Array} freq Array of fractional frequency values.
-     * @returns nothing.
+     * Overlapping Allan deviation for taus up to 10% of the record length,
+     * and TheoBR otherwise. The Allan part reaches every short tau r · tau0
+     * with m = 4r/3 (e.g. getTheoh(4 / 3) is OADEV at tau0), and sigma-tau
+     * tables include it (see _getTableFactors).
+     *
+     * @param {Number} m Averaging factor (tau = 0.75 · m · tau0).
+     * @returns {Number} TheoH deviation.
      */
-    loadFreqFromArray: function (freq) {
-      this.y = freq;
-      this.x = this.freqToPhase(freq);
+    getTheoh: function (m) {
+      var tau,
+          k;
+
+      m = m || 1;
+      tau = this.getTau(m, 'theoh');
+      k = this._getTheohAvarFactor(m);
+
+      if(this.values.theoh[tau] === undefined) {
+        if (k) {
+          this.values.theoh[tau] = this.getOadev(k);
+          this.counts.theoh[tau] = this.counts.oadev[tau];
+        } else {
+          this.values.theoh[tau] = this.getTheobr(m);
+          this.counts.theoh[tau] = this.counts.theobr[tau];
+        }
+      }
+      return this.values.theoh[tau];
     },
-    
+
     /**
-     * Initializes the array of sequential time-error values (x) from a URL.
+     * Allan averaging factor of TheoH's short taus.
      *
-     * @param {String} url URL containing the multi-line data file.
-     * @returns nothing.
+     * @private
+     * @param {Number} m TheoH averaging factor.
+     * @returns {Number} r = 0.75 · m if it is a whole number up to 10% of the record length, undefined otherwise.
+     */
+    _getTheohAvarFactor: function (m) {
+      var r = Math.round(0.75 * m);
+
+      return (r >= 1 && Math.abs(0.75 * m - r) < 1e-9 && r <= 0.1 * (this.x.length - 1)) ? r : undefined;
+    },
+
+    /**
+     * Averaging factors of a sigma-tau table (see getAveragingFactors).
+     *
+     * For TheoH, a spacing name is applied twice: to the Allan factors r up
+     * to 10% of the record length (as m = 4r/3), and to the Theo factors
+     * beyond.
+     *
+     * @private
+     * @param {String} name Lowercase estimator name.
+     * @param {String|Array} spacing Tau spacing, octave by default.
+     * @returns {Array} Averaging factors.
+     */
+    _getTableFactors: function (name, spacing) {
+      var ms = this.getAveragingFactors(spacing || 'octave', this.getMaxAveragingFactor(name)),
+          k = Math.floor(0.1 * (this.x.length - 1)),
+          rs;
+
+      if (name !== 'theoh' || typeof spacing === 'object') {
+        return ms;
+      }
+      rs = this.getAveragingFactors(spacing || 'octave', k);
+      for (var i = 0; i < rs.length; i++) {
+        rs[i] = 4 * rs[i] / 3;
+      }
+      for (var i = 0; i < ms.length; i++) {
+        if (0.75 * ms[i] > k) {
+          rs.push(ms[i]);
+        }
+      }
+      return rs;
+    },
+
+    /**
+     * Power-law noise identification.
+     *
+     * Lag-1 autocorrelation method (Riley & Greenhall) on the phase data
+     * decimated by m, differenced until rho < 0.25:
+     *
+     *       r1
+     * rho = ----- ; alpha = 2 - 2·(rho + d)
+     *      1 + r1
+     *
+     * With fewer than 30 decimated samples, falls back to the B1 bias ratio
+     * (STDEV² / ADEV²), using R(n) = MDEV² / ADEV² to tell white from
+     * flicker PM.
+     *
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Object} tau, alpha (rounded exponent, undefined if not enough data), estimate (unrounded exponent), label and method ('acf' or 'b1').
      */
-    loadFreqFromURL: function (url) {
-      var request = new XMLHttpRequest(),
-          me = this;
-
-      request.open('GET', url, false);
-      request.onreadystatechange = (function () {
-        return function () {
-          var a, n, y;
-          if (request.readyState == 4) {
-            y = [];
-            a = request.response.split('\r\n');
-            for (var i = 0, len = a.length; i < len; i++) {
-              n = parseFloat(a[i]);
-              if (!isNaN(n)) {
-                y.push(n);
+    getNoiseId: function (m) {
+      var tau,
+          z = [],
+          d,
+          r1,
+          rho,
+          alpha,
+          estimate,
+          method,
+          N,
+          b1,
+          mu,
+          rn;
+
+      m = m || 1;
+      tau = this.getTau(m);
+
+      if(this.values.noise[tau] === undefined) {
+        for (var i = 0, len = this.x.length; i < len; i += m) {
+          z.push(this.x[i]);
+        }
+        if (z.length >= ACF_MIN_SAMPLES) {
+          for (d = 0; ; d++) {
+            r1 = lag1Acf(z);
+            rho = r1 / (1 + r1);
+            if (rho < 0.25 || d >= 2) {
+              break;
+            }
+            for (var i = 0, len = z.length; i + 1 < len; i++) {
+              z[i] = z[i + 1] - z[i];
+            }
+            z.pop();
+          }
+          estimate = 2 - 2 * (rho + d);
+          alpha = 2 - Math.round(2 * rho) - 2 * d;
+          method = 'acf';
+        } else {
+          N = Math.floor(this.y.length / m);
+          if (N > 2 && this.getAdev(m) > 0) {
+            b1 = Math.pow(this.getStdev(m) / this.getAdev(m), 2);
+            // Pick mu between -2 and 1, with boundaries at the geometric mean of the expected ratios
+            for (mu = -2; mu < 1; mu++) {
+              if (b1 < Math.sqrt(b1Ratio(N, mu) * b1Ratio(N, mu + 1))) {
+                break;
               }
             }
-            me.loadFreqFromArray(y);
+            alpha = -mu - 1;
+            if (mu === -2) {
+              rn = Math.pow(this.getMdev(m) / this.getAdev(m), 2);
+              alpha = (rn < Math.sqrt(1 / m * 3.37 / (1.038 + 3 * Math.log(Math.PI * m)))) ? 2 : 1;
+            }
+            estimate = alpha;
+            method = 'b1';
           }
+        }
+        if (alpha !== undefined) {
+          alpha = Math.max(-2, Math.min(2, alpha));
+        }
+        this.values.noise[tau] = {
+          tau: tau,
+          alpha: alpha,
+          estimate: estimate,
+          label: (alpha !== undefined) ? NOISE_LABELS[alpha] : 'Unknown',
+          method: method
         };
-      })(me);
-      request.send();
+      }
+      return this.values.noise[tau];
     },
 
     /**
-     * Average value of a subset of an array.
+     * Equivalent degrees of freedom of an estimator (NIST SP 1065, 5.3).
      *
-     * @private
-     * @param {Number} i index of the subset.
-     * @param {Number} m Averaging time.
-     * @param {Array} a Array.
-     * @returns {Number} Average value of the subset of the array.
+     * Uses Greenhall's algorithm for the ADEV, MDEV and HDEV families and
+     * the empirical formulas of SP 1065 for the total deviations.
+     *
+     * @param {String} dev Estimator name (e.g. 'OADEV').
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @param {Number} alpha Power-law noise exponent, from 2 (white PM) to -2 (random walk FM). Identified from the data by default; other values throw an Error.
+     * @returns {Number} EDF, or 0 if it cannot be estimated.
      */
-    _arrayAvg: function (i, m, a) {
-      var avg = 0;
+    getEdf: function (dev, m, alpha) {
+      var gaps = this._getGaps(),
+          N = this.x.length - (gaps ? gaps[gaps.length - 1] : 0),
+          ratio,
+          r,
+          b;
 
-      i = i || 0;
-      m = m || 0;
-      
-      for (var j = 0; j < m; j++) {
-        avg += a[i + j];
+      m = m || 1;
+      if (/^(mtie|tierms)$/i.test(dev)) {
+        return 0; // Time interval errors have no chi-squared statistics
       }
-      avg /= m;
+      if (/^theo/i.test(dev)) {
+        r = 0.75 * m; // tau / tau0
+        if (dev.toLowerCase() === 'theoh' && this._getTheohAvarFactor(m)) {
+          return this.getEdf('oadev', this._getTheohAvarFactor(m), alpha);
+        }
+        m = Math.max(1, Math.round(r));
+      }
+      alpha = (alpha === undefined) ? this.getNoiseId(m).alpha : alpha;
+      alpha = (alpha === undefined) ? 0 : Math.round(alpha);
+      if (!(alpha >= -2 && alpha <= 2)) {
+        throw new Error('Power-law noise exponent out of range (-2 to 2): ' + alpha);
+      }
+      ratio = (N - 1) / m; // T / tau
 
-      return avg;
+      switch (dev.toLowerCase()) {
+        case 'stdev':
+          return Math.floor(this.y.length / m) - 1;
+        case 'adev':
+          return greenhallEdf(alpha, 2, m, N, false, false);
+        case 'oadev':
+          return greenhallEdf(alpha, 2, m, N, true, false);
+        case 'mdev':
+        case 'tdev':
+          return greenhallEdf(alpha, 2, m, N, true, true);
+        case 'hdev':
+          return greenhallEdf(alpha, 3, m, N, false, false);
+        case 'ohdev':
+          return greenhallEdf(alpha, 3, m, N, true, false);
+        case 'totdev':
+          // edf = b·(T/tau) - c, white FM coefficients also used for PM noise
+          b = { '-2': [0.93, 0.36], '-1': [1.17, 0.22] }[alpha] || [1.50, 0];
+          return Math.max(0, b[0] * ratio - b[1]);
+        case 'mtotdev':
+        case 'ttotdev':
+          b = { '2': [1.90, 2.10], '1': [1.20, 1.40], '0': [1.10, 1.20], '-1': [0.85, 0.50], '-2': [0.75, 0.31] }[alpha];
+          return Math.max(0, b[0] * ratio - b[1]);
+        case 'htotdev':
+          if (alpha > 0) {
+            return greenhallEdf(alpha, 3, m, N, true, false);
+          }
+          // edf = (T/tau) / (b0 + b1·tau/T)
+          b = { '0': [0.559, 1.004], '-1': [0.868, 1.140], '-2': [0.938, 1.696] }[alpha];
+          return ratio / (b[0] + b[1] / ratio);
+        case 'theo1':
+        case 'theobr':
+        case 'theoh':
+          switch (alpha) {
+            case 2:
+              return 0.86 * (N + 1) * (N - 4 * r / 3) / (N - r) * r / (r + 1.14);
+            case 1:
+              return (4.798 * N * N - 6.374 * N * r + 12.387 * r) / (Math.sqrt(r + 36.6) * (N - r)) * r / (r + 0.3);
+            case 0:
+              return ((4.1 * N + 0.8) / r - (3.1 * N + 6.5) / N) * Math.pow(r, 1.5) / (Math.pow(r, 1.5) + 5.2);
+            case -1:
+              return (2 * N * N - 1.3 * N * r - 3.5 * r) / (N * r) * Math.pow(r, 3) / (Math.pow(r, 3) + 2.3);
+            default:
+              return (4.4 * N - 2) / (2.9 * r) * (Math.pow(4.4 * N - 1, 2) - 8.6 * r * (4.4 * N - 1) + 11.4 * r * r) / Math.pow(4.4 * N - 3, 2);
+          }
+      }
+      return 0;
     },
 
     /**
-     * Average value of a subset of x.
+     * Chi-squared confidence interval of an estimator.
      *
-     * @private
-     * @param {Number} i index of the subset.
-     * @param {Number} m Averaging time.
-     * @returns {Number} Average value of the subset of x.
+     *                  edf · s²                      edf · s²
+     * s²min = -------------------- ;  s²max = ----------------
+     *         X²(1 - (1-p)/2, edf)            X²((1-p)/2, edf)
+     *
+     * @param {String} dev Estimator name (e.g. 'OADEV').
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @param {Number} level Confidence level (0.683 by default).
+     * @param {Number} alpha Power-law noise exponent (see getEdf).
+     * @returns {Object} tau, estimated value, edf and min/max bounds (undefined if the EDF is not known).
      */
-    _phaseAvg: function (i, m) {
-      return this._arrayAvg(i, m, this.x);
+    getConfidence: function (dev, m, level, alpha) {
+      var name = dev.toLowerCase(),
+          value,
+          edf,
+          p;
+
+      m = m || 1;
+      level = level || CONFIDENCE_LEVEL;
+      value = this[ESTIMATORS[name]](m);
+      edf = this.getEdf(name, m, alpha);
+      p = (1 - level) / 2;
+
+      return {
+        tau: this.getTau(m, name),
+        value: value,
+        edf: edf,
+        min: (edf > 0 && value) ? value * Math.sqrt(edf / chiSquaredInv(1 - p, edf)) : undefined,
+        max: (edf > 0 && value) ? value * Math.sqrt(edf / chiSquaredInv(p, edf)) : undefined
+      };
     },
 
     /**
-     * Average value of a subset of y.
+     * Number of terms an estimator used for an averaging factor.
      *
-     * @private
-     * @param {Number} i index of the subset.
-     * @param {Number} m Averaging time.
-     * @returns {Number} Average value of the subset of y.
+     * @param {String} dev Estimator name (e.g. 'OADEV').
+     * @param {Number} m Averaging factor (tau = m · tau0).
+     * @returns {Number} Number of terms.
      */
-    _freqAvg: function (i, m) {
-      return this._arrayAvg(i, m, this.y);
+    getSampleCount: function (dev, m) {
+      var name = dev.toLowerCase();
+
+      m = m || 1;
+      this[ESTIMATORS[name]](m);
+      return this.counts[name][this.getTau(m, name)];
     },
 
     /**
-     * Average of x.
+     * Largest averaging factor an estimator can be computed for, given the
+     * length of the dataset and MIN_SAMPLES.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} AVG.
+     * @param {String} dev Estimator name (e.g. 'OADEV').
+     * @returns {Number} Maximum averaging factor (0 if there is not enough data).
      */
-    getPhaseAvg: function (m) {
-      var sum = 0,
-          len = this.x.length;
+    getMaxAveragingFactor: function (dev) {
+      var N = this.x.length,
+          max;
 
-      m = m || 1;
+      switch (dev.toLowerCase()) {
+        case 'stdev':
+          max = this.y.length / 2;
+          break;
+        case 'adev':
+          max = (N - 1) / (MIN_SAMPLES + 2);
+          break;
+        case 'oadev':
+          max = (N - MIN_SAMPLES - 1) / 2;
+          break;
+        case 'mdev':
+        case 'tdev':
+          max = (N - MIN_SAMPLES) / 3;
+          break;
+        case 'hdev':
+          max = (N - 1) / (MIN_SAMPLES + 3);
+          break;
+        case 'ohdev':
+          max = (N - MIN_SAMPLES - 1) / 3;
+          break;
+        case 'totdev':
+          max = (N - 1) / 2;
+          break;
+        case 'mtotdev':
+        case 'ttotdev':
+          max = (N - MIN_SAMPLES) / 3;
+          break;
+        case 'htotdev':
+          max = (this.y.length - MIN_SAMPLES) / 3;
+          break;
+        case 'mtie':
+          max = N - 1;
+          break;
+        case 'tierms':
+          max = N - MIN_SAMPLES - 1;
+          break;
+        case 'theo1':
+        case 'theobr':
+        case 'theoh':
+          max = N - 1;
+          break;
+        default:
+          max = 0;
+      }
+      return Math.max(0, Math.floor(max));
+    },
 
-      if(this.values.xavg[m] === undefined) {
-        for (var i = 0; i < len; i+=m) {
-          sum += this._phaseAvg(i, m);
+    /**
+     * Sequence of averaging factors.
+     *
+     * @param {String|Array} spacing 'octave' (1, 2, 4, 8...), 'decade' (1, 2, 4, 10, 20, 40...),
+     *                               'all' (every m), 'many' (log-spaced, 30 per decade) or an array of averaging factors.
+     * @param {Number} max Largest averaging factor.
+     * @returns {Array} Sorted array of averaging factors.
+     */
+    getAveragingFactors: function (spacing, max) {
+      var ms = [],
+          m;
+
+      if (spacing instanceof Array) {
+        for (var i = 0, len = spacing.length; i < len; i++) {
+          if (spacing[i] >= 1 && spacing[i] <= max && ms.indexOf(spacing[i]) === -1) {
+            ms.push(spacing[i]);
+          }
+        }
+        return ms.sort(function (a, b) { return a - b; });
+      }
+
+      switch (spacing) {
+        case 'all':
+          for (m = 1; m <= max; m++) {
+            ms.push(m);
+          }
+          break;
+        case 'decade':
+          for (var d = 1; d <= max; d *= 10) {
+            for (var i = 0; i < 3 && d * [1, 2, 4][i] <= max; i++) {
+              ms.push(d * [1, 2, 4][i]);
+            }
+          }
+          break;
+        case 'many':
+          for (var i = 0; (m = Math.round(Math.pow(10, i / MANY_TAU_DENSITY))) <= max; i++) {
+            if (m !== ms[ms.length - 1]) {
+              ms.push(m);
+            }
+          }
+          break;
+        default: // octave
+          for (m = 1; m <= max; m *= 2) {
+            ms.push(m);
+          }
+      }
+      return ms;
+    },
+
+    /**
+     * Compute a complete sigma-tau table for a list of estimators.
+     *
+     * Every value is cached in values, as if each getter had been called.
+     *
+     * @param {Array} d Array of strings with deviations to be computed (e.g. ['ADEV', 'HDEV', 'MDEV']).
+     * @param {String|Array} spacing Tau spacing (see getAveragingFactors), octave by default.
+     * @param {Number} level Confidence level of the bounds (0.683 by default).
+     * @returns {Object} Arrays of rows (tau, m, value, n, edf, min, max) indexed by lowercase estimator name.
+     */
+    getSigmaTauTable: function (d, spacing, level) {
+      var table = {},
+          name,
+          ms,
+          ci;
+
+      d = (typeof d === 'string') ? [d] : d;
+
+      for (var i = 0, len = d.length; i < len; i++) {
+        name = d[i].toLowerCase();
+        ms = this._getTableFactors(name, spacing);
+        table[name] = [];
+        this._fastTable(name, ms);
+        for (var j = 0; j < ms.length; j++) {
+          ci = this.getConfidence(name, ms[j], level);
+          if (ci.value) {
+            table[name].push({
+              tau: ci.tau,
+              m: ms[j],
+              value: ci.value,
+              n: this.counts[name][ci.tau],
+              edf: ci.edf,
+              min: ci.min,
+              max: ci.max
+            });
+          }
+        }
+      }
+      return table;
+    },
+
+    /**
+     * Computes a sigma-tau table asynchronously, in a Web Worker in
+     * browsers or a worker_threads worker in Node.js, so the main thread
+     * is not blocked. A worker is used by default, whenever one can be
+     * started; with worker set to false, or without workers, it runs on
+     * the main thread, one tau at a time.
+     *
+     * Results are cached in values and counts, as the synchronous getters
+     * do, unless the data change in the meantime.
+     *
+     * @param {Array} d Array of strings with deviations to be computed (e.g. ['MTOTDEV', 'TOTDEV']).
+     * @param {Object} options Optional settings: taus (spacing, see getAveragingFactors; octave by default),
+     *                         level (confidence level of the bounds), onProgress (called with the taus done,
+     *                         the total, the estimator name and the new table row), signal (AbortSignal to
+     *                         cancel), worker (false to run on the main thread) and workerUrl (URL of
+     *                         allan.js for browser workers, this script by default).
+     * @returns {Promise} Promise of the table (see getSigmaTauTable), rejected with an AbortError if cancelled.
+     */
+    computeAsync: function (d, options) {
+      var me = this,
+          version = this._version,
+          jobs = [],
+          factors = {},
+          table = {},
+          name,
+          ms;
+
+      options = options || {};
+      d = (typeof d === 'string') ? [d] : d;
+      for (var i = 0; i < d.length; i++) {
+        name = d[i].toLowerCase();
+        table[name] = [];
+        ms = this._getTableFactors(name, options.taus);
+        factors[name] = ms;
+        for (var j = 0; j < ms.length; j++) {
+          jobs.push({ dev: name, m: ms[j] });
+        }
+      }
+
+      return new Promise(function (resolve, reject) {
+        var worker,
+            threads,
+            url = options.workerUrl || scriptUrl,
+            finished = false,
+            next = 0,
+            timer;
+
+        function finish(error) {
+          finished = true;
+          if (worker) {
+            worker.terminate();
+          }
+          clearTimeout(timer);
+          if (options.signal) {
+            options.signal.removeEventListener('abort', cancel);
+          }
+          if (error) {
+            reject(error);
+          } else if (me._version !== version) {
+            reject(new Error('Dataset changed during the computation'));
+          } else {
+            resolve(table);
+          }
+        }
+
+        function receive(msg) {
+          if (finished || !msg || !msg.allanjs) {
+            return;
+          }
+          if (msg.allanjs === 'progress') {
+            if (msg.row.value) {
+              table[msg.dev].push(msg.row);
+            }
+            if (options.onProgress) {
+              options.onProgress(msg.done, msg.total, msg.dev, msg.row);
+            }
+          } else if (msg.allanjs === 'done') {
+            if (me._version === version) {
+              me._mergeValues(msg.values, msg.counts);
+            }
+            finish();
+          }
+        }
+
+        function cancel() {
+          if (!finished) {
+            var error = new Error('Computation cancelled');
+            error.name = 'AbortError';
+            finish(error);
+          }
+        }
+
+        // Main thread fallback, yielding between taus
+        function step() {
+          var ci;
+
+          if (finished) {
+            return;
+          }
+          if (next >= jobs.length) {
+            finish();
+            return;
+          }
+          if (next === 0) {
+            for (var dev in factors) {
+              me._fastTable(dev, factors[dev]);
+            }
+          }
+          ci = me.getConfidence(jobs[next].dev, jobs[next].m, options.level);
+          next++;
+          receive({
+            allanjs: 'progress',
+            done: next,
+            total: jobs.length,
+            dev: jobs[next - 1].dev,
+            row: { tau: ci.tau, m: jobs[next - 1].m, value: ci.value, n: me.counts[jobs[next - 1].dev][ci.tau], edf: ci.edf, min: ci.min, max: ci.max }
+          });
+          timer = setTimeout(step, 0);
+        }
+
+        if (options.signal) {
+          if (options.signal.aborted) {
+            cancel();
+            return;
+          }
+          options.signal.addEventListener('abort', cancel);
+        }
+
+        if (options.worker !== false && typeof Worker !== 'undefined' && url) {
+          worker = new Worker(url, { name: WORKER_NAME });
+          worker.onmessage = function (e) {
+            receive(e.data);
+          };
+          worker.onerror = function (e) {
+            finish(new Error(e.message));
+          };
+        } else if (options.worker !== false && (threads = nodeRequire('worker_threads')) && typeof __filename !== 'undefined') {
+          worker = new threads.Worker(__filename, { workerData: { allanjs: true } });
+          worker.on('message', receive);
+          worker.on('error', finish);
+          worker.on('exit', function (code) {
+            if (!finished) {
+              finish(new Error('Worker stopped before the computation ended (exit code ' + code + ')'));
+            }
+          });
+        }
+        if (worker) {
+          worker.postMessage({ allanjs: 'run', dataset: me.serialize(), jobs: jobs, level: options.level });
+        } else {
+          timer = setTimeout(step, 0);
         }
-        this.values.xavg[m] = sum * m  / len;
-      }
-      return this.values.xavg[m];
+      });
     },
 
     /**
-     * Average of y.
+     * Adds values and counts computed elsewhere (e.g. in a worker) to the
+     * cache, keeping the ones already computed.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} AVG.
+     * @private
+     * @param {Object} values Computed values, indexed by estimator and tau.
+     * @param {Object} counts Number of terms, indexed by estimator and tau.
+     * @returns nothing.
      */
-    getFreqAvg: function (m) {
-      var sum = 0,
-          len = this.y.length;
-
-      m = m || 1;
-
-      if(this.values.yavg[m] === undefined) {
-        for (var i = 0; i < len; i+=m) {
-          sum += this._freqAvg(i, m);
+    _mergeValues: function (values, counts) {
+      for (var dev in values) {
+        for (var tau in values[dev]) {
+          if (this.values[dev] && this.values[dev][tau] === undefined) {
+            this.values[dev][tau] = values[dev][tau];
+          }
+        }
+      }
+      for (var dev in counts) {
+        for (var tau in counts[dev]) {
+          if (this.counts[dev] && this.counts[dev][tau] === undefined) {
+            this.counts[dev][tau] = counts[dev][tau];
+          }
         }
-        this.values.yavg[m] = sum * m  / len;
       }
-      return this.values.yavg[m];
     },
 
     /**
-     * Maximum value of x.
+     * Dynamic analysis: an estimator computed across taus in windows
+     * sliding over the data, to locate non-stationary behavior (e.g. a
+     * loss of lock or a temperature step) in time.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} Maximum value of x.
+     * @param {String} dev Estimator (e.g. 'OADEV', the default).
+     * @param {Object} options Optional settings: window (length in frequency samples, a tenth of the data by
+     *                         default), step (in samples, half a window by default) and taus (spacing within a
+     *                         window, see getAveragingFactors; octave by default).
+     * @returns {Object} dev, window, step, m and tau (Arrays of averaging factors and times), t (Array of window
+     *                   centers in seconds from the first sample), start (Array of first samples) and values
+     *                   (time × tau matrix, NaN where there is no value).
      */
-    getPhaseMax: function (m) {
-      m = m || 1;
-      if(this.values.xmax[m] === undefined) {
-        this.values.xmax[m] = -Infinity;
-        for (var i = 0, len = this.x.length, a; i < len; i += m) {
-          a = this._phaseAvg(i, m);
-          if (a > this.values.xmax[m]) {
-            this.values.xmax[m] = a;
+    getDynamic: function (dev, options) {
+      var name = (dev || 'oadev').toLowerCase(),
+          len = this.y.length,
+          W,
+          step,
+          ms = [],
+          tau = [],
+          t = [],
+          start = [],
+          values = [],
+          d,
+          row,
+          v;
+
+      options = options || {};
+      W = Math.min(len, Math.floor(options.window || len / 10));
+      step = Math.max(1, Math.floor(options.step || W / 2));
+      if (!ESTIMATORS[name]) {
+        throw new Error('Unknown estimator: ' + dev);
+      }
+
+      for (var s = 0; W > 0 && s + W <= len; s += step) {
+        d = new Allan.Dataset(this.name, this.tau0);
+        d.x = this.x.slice(s, s + W + 1);
+        d.y = this.y.slice(s, s + W);
+        if (s === 0) {
+          ms = this.getAveragingFactors(options.taus || 'octave', d.getMaxAveragingFactor(name));
+          for (var j = 0; j < ms.length; j++) {
+            tau.push(d.getTau(ms[j], name));
           }
         }
+        row = [];
+        for (var j = 0; j < ms.length; j++) {
+          v = d[ESTIMATORS[name]](ms[j]);
+          row.push(v ? v : NaN);
+        }
+        t.push((s + W / 2) * this.tau0);
+        start.push(s);
+        values.push(row);
       }
-      return this.values.xmax[m];
+
+      return {
+        dev: name,
+        window: W,
+        step: step,
+        m: ms,
+        tau: tau,
+        t: t,
+        start: start,
+        values: values
+      };
     },
 
     /**
-     * Maximum value of y.
+     * Generate an object with values and options to be plotted by Flot: the
+     * dynamic analysis (see getDynamic) as one series per tau against time,
+     * in log scale.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} Maximum value of y.
+     * @param {String} dev Estimator (e.g. 'OADEV', the default).
+     * @param {Object} options Optional settings of getDynamic (window, step and taus).
+     * @returns {Object} Object with values and options for Flot.
      */
-    getFreqMax: function (m) {
-      m = m || 1;
-      if(this.values.ymax[m] === undefined) {
-        this.values.ymax[m] = -Infinity;
-        for (var i = 0, len = this.y.length, a; i < len; i += m) {
-          a = this._freqAvg(i, m);
-          if (a > this.values.ymax[m]) {
-            this.values.ymax[m] = a;
+    getDynamicPlot: function (dev, options) {
+      var dyn = this.getDynamic(dev, options),
+          series = [],
+          expmin = Infinity,
+          expmax = -Infinity,
+          d,
+          v,
+          e;
+
+      for (var j = 0; j < dyn.tau.length; j++) {
+        d = [];
+        for (var i = 0; i < dyn.t.length; i++) {
+          v = dyn.values[i][j];
+          d.push([dyn.t[i], isNaN(v) ? null : v]);
+          if (!isNaN(v)) {
+            e = Math.floor(Math.log(v) / Math.LN10);
+            expmin = Math.min(expmin, e);
+            expmax = Math.max(expmax, e);
           }
         }
+        series.push({ label: dyn.dev.toUpperCase() + '(' + dyn.tau[j] + ')', data: d });
       }
-      return this.values.ymax[m];
+
+      return {
+        values: series,
+        options: {
+          series: {
+            lines: { show: true },
+            points: { show: true }
+          },
+          xaxis: { axisLabel: 't [s]' },
+          yaxis: {
+            min: Math.pow(10, expmin),
+            max: Math.pow(10, expmax + 1),
+            axisLabel: 'σ(τ)',
+            transform: function (v) { return Math.log(v) / Math.LN10; },
+            inverseTransform: function (v) { return Math.pow(10, v); }
+          }
+        }
+      };
     },
 
     /**
-     * Minimum value of x.
+     * Exports a sigma-tau table as CSV, one row per estimator and tau.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} Maximum value of x.
+     * @param {Array} d Array of strings with deviations to be exported (e.g. ['OADEV', 'MDEV']).
+     * @param {String|Array} spacing Tau spacing (see getAveragingFactors), octave by default.
+     * @param {Number} level Confidence level of the bounds (0.683 by default).
+     * @returns {String} CSV text with a header row (estimator, tau, m, value, n, edf, min, max).
      */
-    getPhaseMin: function (m) {
-      m = m || 1;
-      if(this.values.xmin[m] === undefined) {
-        this.values.xmin[m] = Infinity;
-        for (var i = 0, len = this.x.length, a; i < len; i += m) {
-          a = this._phaseAvg(i, m);
-          if (a < this.values.xmin[m]) {
-            this.values.xmin[m] = a;
-          }
+    exportCSV: function (d, spacing, level) {
+      var table = this.getSigmaTauTable(d, spacing, level),
+          lines = ['estimator,tau,m,value,n,edf,min,max'],
+          r;
+
+      for (var name in table) {
+        for (var i = 0; i < table[name].length; i++) {
+          r = table[name][i];
+          lines.push([name, r.tau, r.m, r.value, r.n, r.edf, r.min, r.max].join(','));
         }
       }
-      return this.values.xmin[m];
+      return lines.join('\n') + '\n';
     },
 
     /**
-     * Minimum value of y.
+     * Exports a sigma-tau table as JSON.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} Maximum value of y.
+     * @param {Array} d Array of strings with deviations to be exported (e.g. ['OADEV', 'MDEV']).
+     * @param {String|Array} spacing Tau spacing (see getAveragingFactors), octave by default.
+     * @param {Number} level Confidence level of the bounds (0.683 by default).
+     * @returns {String} JSON text with the dataset name, tau0, confidence level and the table
+     *                   (unknown bounds as null).
      */
-    getFreqMin: function (m) {
-      m = m || 1;
-      if(this.values.ymin[m] === undefined) {
-        this.values.ymin[m] = Infinity;
-        for (var i = 0, len = this.y.length, a; i < len; i += m) {
-          a = this._freqAvg(i, m);
-          if (a < this.values.ymin[m]) {
-            this.values.ymin[m] = a;
-          }
+    exportJSON: function (d, spacing, level) {
+      var table = this.getSigmaTauTable(d, spacing, level);
+
+      for (var name in table) {
+        for (var i = 0; i < table[name].length; i++) {
+          table[name][i].min = (table[name][i].min !== undefined) ? table[name][i].min : null;
+          table[name][i].max = (table[name][i].max !== undefined) ? table[name][i].max : null;
         }
       }
-      return this.values.ymin[m];
+      return JSON.stringify({
+        name: this.name,
+        tau0: this.tau0,
+        level: level || CONFIDENCE_LEVEL,
+        table: table
+      }, null, 2);
     },
 
     /**
-     * Generate an object with values and options to be plotted by Flot.
+     * Human-readable run summary, in the spirit of Stable32's: dataset
+     * details, phase and frequency statistics and sigma-tau tables.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Object} Object with values and options for Flot.
+     * @param {Array} d Array of strings with deviations to be reported (e.g. ['OADEV', 'MDEV']).
+     * @param {String|Array} spacing Tau spacing (see getAveragingFactors), octave by default.
+     * @param {Number} level Confidence level of the bounds (0.683 by default).
+     * @returns {String} Text report.
      */
-    getPhasePlot: function (m) {
-      var d = [];
-
-      m = m || 1;
+    exportReport: function (d, spacing, level) {
+      var table = this.getSigmaTauTable(d || [], spacing, level),
+          gaps = this._getGaps(),
+          lines = [],
+          r;
 
-      for (var i = 0, len = this.x.length; i < len; i += m) {
-        d.push([i, this._phaseAvg(i, m)]);
+      lines.push('Allan.js analysis report');
+      lines.push('');
+      lines.push('Dataset:          ' + this.name + ' (id ' + this.id + ')');
+      if (this.lineage.length) {
+        lines.push('Derived from:     ' + this.lineage[this.lineage.length - 1].name);
       }
+      lines.push('Phase points:     ' + this.x.length);
+      lines.push('Frequency points: ' + this.y.length);
+      lines.push('Gaps:             ' + (gaps ? gaps[gaps.length - 1] : 0));
+      lines.push('Tau0:             ' + this.tau0 + ' s');
+      if (this.nominal) {
+        lines.push('Nominal:          ' + this.nominal + ' Hz');
+      }
+      lines.push('');
+      lines.push('                     Mean      Std dev          Min          Max');
+      lines.push('Phase (s)   ' + formatValue(this.getPhaseAvg(1), 13) + formatValue(undefined, 13) +
+                 formatValue(this.getPhaseMin(1), 13) + formatValue(this.getPhaseMax(1), 13));
+      lines.push('Frequency   ' + formatValue(this.getFreqAvg(1), 13) + formatValue(this.y.length > 1 ? this.getStdev(1) : undefined, 13) +
+                 formatValue(this.getFreqMin(1), 13) + formatValue(this.getFreqMax(1), 13));
 
-      return {
-        values: [
-          { 
-            label: 'x(' + m + ')',
-            data: d
-          }
-        ],
-        options: {
-          series: {
-            lines: { show: true },
-            points: { show: true }
-          }
+      for (var name in table) {
+        lines.push('');
+        lines.push(name.toUpperCase() + ' (' + Math.round((level || CONFIDENCE_LEVEL) * 1000) / 10 + '% confidence)');
+        lines.push('         Tau        m        Value        n          EDF          Min          Max');
+        for (var i = 0; i < table[name].length; i++) {
+          r = table[name][i];
+          lines.push(formatValue(String(r.tau), 12) + formatValue(r.m, 9) + formatValue(r.value, 13) + formatValue(r.n, 9) +
+                     formatValue(r.edf ? r.edf.toFixed(1) : undefined, 13) + formatValue(r.min, 13) + formatValue(r.max, 13));
         }
-      };
+      }
+      return lines.join('\n') + '\n';
     },
 
     /**
-     * Generate an object with values and options to be plotted by Flot.
+     * Serializes the dataset, including its computed values, as JSON.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Object} Object with values and options for Flot.
+     * Gaps (NaN) are written as null. See Allan.Dataset.restore.
+     *
+     * @returns {String} JSON text of the dataset.
      */
-    getFreqPlot: function (m) {
-      var d = [];
-
-      m = m || 1;
+    serialize: function () {
+      return JSON.stringify({
+        format: 'allanjs-dataset',
+        version: SERIALIZATION_VERSION,
+        id: this.id,
+        name: this.name,
+        tau0: this.tau0,
+        nominal: this.nominal,
+        units: this.units,
+        lineage: this.lineage,
+        metadata: this.metadata,
+        x: this.x,
+        y: this.y,
+        values: this.values,
+        counts: this.counts
+      });
+    },
 
-      for (var i = 0, len = this.y.length; i < len; i += m) {
-        d.push([i, this._freqAvg(i, m)]);
-      }
+    /**
+     * Creates an empty dataset derived from this one, keeping its lineage.
+     *
+     * @private
+     * @param {String} operation Description of the operation applied.
+     * @returns {Allan.Dataset} New dataset.
+     */
+    _derive: function (operation) {
+      var d = new Allan.Dataset(this.name + ' (' + operation + ')', this.tau0);
 
-      return {
-        values: [
-          { 
-            label: 'y(' + m + ')',
-            data: d
-          }
-        ],
-        options: {
-          series: {
-            lines: { show: true },
-            points: { show: true }
-          }
-        }
-      };
+      d.lineage = this.lineage.concat([{ id: this.id, name: this.name, operation: operation }]);
+      d.nominal = this.nominal;
+      d.units = { phase: this.units.phase, freq: this.units.freq };
+      return d;
     },
 
     /**
-     * Generate an object with values and options to be plotted by Flot.
+     * Drift analysis. Fits one of these models to the frequency (y) or
+     * phase (x) data (t in seconds from the first sample, T record length):
      *
-     * @param {Array} d Array of strings with deviations to be plotted (e.g. ['ADEV', 'HDEV', 'MDEV']).
-     * @returns {Object} Object with values and options for Flot.
+     * linear:     a + b·t
+     * quadratic:  a + b·t + c·t²
+     * log:        a·ln(b·t + 1) + c
+     * diffusion:  a + b·(t + c)^½
+     *
+     * The drift is the frequency drift at the end of the record: the first
+     * derivative of the fit at T for frequency data, the second one for
+     * phase data. E.g. b for a linear fit of y, 2c for a quadratic fit of x,
+     * a·b / (b·T + 1) for a log fit of y.
+     *
+     * @param {String} model Drift model: 'linear' (default), 'quadratic', 'log' or 'diffusion'.
+     * @param {String} data Data to fit: 'x' (phase) or 'y' (frequency), by default phase for the quadratic model
+     *                      and frequency for the others.
+     * @returns {Object} model, data ('x' or 'y'), coefficients (a, b, c), drift (per second), residuals (Array) and rms.
      */
-    getSigmaTauPlot: function (d) {
-      var series = [],
+    getDrift: function (model, data) {
+      var tau0 = this.tau0,
           v,
-          dname,
-          adev,
-          e, 
-          vmin = Infinity,
-          vmax = -Infinity,
-          expmin = Infinity,
-          expmax = -Infinity;
+          T,
+          fit,
+          coef,
+          r,
+          slope,
+          curve,
+          basis,
+          b,
+          c,
+          residuals = [],
+          n = 0,
+          sse = 0;
 
-      for(var dev in d) {
-        dname = d[dev].toLowerCase();
-        v = [];
-        adev = this.values[dname];
-	for(var val in adev) {
-          if (adev[val] !== undefined && adev[val] !== 0) {
-            v.push([val, adev[val]]);
-            if (val < vmin) {
-              vmin = val;
-            }
-            if (val > vmax) {
-              vmax = val;
-            }            
-            e = Math.floor(Math.log(adev[val]) / Math.LN10);
-            if (e < expmin) {
-              expmin = e;
-            }
-            if (e > expmax) {
-              expmax = e;
-            }
-          }
+      model = model || 'linear';
+      data = data || ((model === 'quadratic') ? 'x' : 'y');
+      if (data !== 'x' && data !== 'y') {
+        throw new Error('Unknown drift data: ' + data);
+      }
+      v = this[data];
+      for (var i = 0, len = v.length; i < len; i++) {
+        n += isNaN(v[i]) ? 0 : 1;
+      }
+      if (!n) {
+        throw new Error('No data to fit the drift');
+      }
+      T = (v.length - 1) * tau0 || tau0;
+
+      // Fit on t / T to keep the normal equations well conditioned
+      switch (model) {
+        case 'linear':
+          fit = leastSquares(function (i) { return [1, i * tau0 / T]; }, v);
+          coef = { a: fit.coef[0], b: fit.coef[1] / T };
+          r = function (t) { return coef.a + coef.b * t; };
+          slope = function () { return coef.b; };
+          curve = function () { return 0; };
+          break;
+        case 'quadratic':
+          fit = leastSquares(function (i) { var u = i * tau0 / T; return [1, u, u * u]; }, v);
+          coef = { a: fit.coef[0], b: fit.coef[1] / T, c: fit.coef[2] / (T * T) };
+          r = function (t) { return coef.a + coef.b * t + coef.c * t * t; };
+          slope = function (t) { return coef.b + 2 * coef.c * t; };
+          curve = function () { return 2 * coef.c; };
+          break;
+        case 'log':
+          basis = function (b) {
+            return function (i) { return [Math.log(b * i * tau0 / T + 1), 1]; };
+          };
+          // Search b·T over 10^-3 to 10^4
+          b = Math.pow(10, minimize(function (e) { return leastSquares(basis(Math.pow(10, e)), v).sse; }, -3, 4));
+          fit = leastSquares(basis(b), v);
+          coef = { a: fit.coef[0], b: b / T, c: fit.coef[1] };
+          r = function (t) { return coef.a * Math.log(coef.b * t + 1) + coef.c; };
+          slope = function (t) { return coef.a * coef.b / (coef.b * t + 1); };
+          curve = function (t) { return -coef.a * coef.b * coef.b / Math.pow(coef.b * t + 1, 2); };
+          break;
+        case 'diffusion':
+          basis = function (c) {
+            return function (i) { return [1, Math.sqrt(i * tau0 / T + c)]; };
+          };
+          // Search c / T over 10^-6 to 10^2
+          c = Math.pow(10, minimize(function (e) { return leastSquares(basis(Math.pow(10, e)), v).sse; }, -6, 2));
+          fit = leastSquares(basis(c), v);
+          coef = { a: fit.coef[0], b: fit.coef[1] / Math.sqrt(T), c: c * T };
+          r = function (t) { return coef.a + coef.b * Math.sqrt(t + coef.c); };
+          slope = function (t) { return coef.b / (2 * Math.sqrt(t + coef.c)); };
+          curve = function (t) { return -coef.b / (4 * Math.pow(t + coef.c, 1.5)); };
+          break;
+        default:
+          throw new Error('Unknown drift model: ' + model);
+      }
+      if (!fit.coef.length) {
+        throw new Error('Too few samples (' + n + ') or singular data for the ' + model + ' drift fit');
+      }
+
+      for (var i = 0, len = v.length; i < len; i++) {
+        residuals[i] = v[i] - r(i * tau0);
+        if (!isNaN(residuals[i])) {
+          sse += residuals[i] * residuals[i];
         }
-        series.push({ label: d[dev], data: v });
       }
 
       return {
-        values: series,
-        options: {
-          series: {
-            lines: { show: true },
-            points: { show: true }
-          },
-          xaxis: {
-            min: Math.pow(10, Math.floor(Math.log(vmin) / Math.LN10)),
-            max: Math.pow(10, Math.floor(Math.log(vmax) / Math.LN10) + 2),
-            ticks: function (axis) {
-              var min,
-                  max,
-                  ticks = [];
-              min = (axis.min !== 0) ? Math.floor(Math.log(axis.min) / Math.LN10) - 1 : 0;
-              min = Math.pow(10, min);
-              max = (axis.max !== 0) ? Math.floor(Math.log(axis.max) / Math.LN10) : 0;
-              max = Math.pow(10, max);
-              for (var o = min; o < max; o *= 10) {
-                ticks.push([o, '10' + (Math.round(Math.log(o)/Math.LN10)).toString().sup()]);
-                for (var i = 2; i < 10; i++) {
-                  ticks.push([o * i, '']);
-                }
-              }
-              ticks.push([Math.pow(10, Math.floor(Math.log(vmax) / Math.LN10) + 2), '\u03c4']);
-              return ticks;
-            },
-            transform: function (v) { return Math.log(v) / Math.LN10; },
-            inverseTransform: function (v) { return Math.Pow(10, v); }
-          },
-          yaxis: {
-            min: Math.pow(10, expmin),
-            max: Math.pow(10, expmax + 2),
-            ticks: function () {
-              var min = Math.pow(10, expmin),
-                  max = Math.pow(10, (expmax + 2)),
-                  ticks = [];
-              for (var o = min; o < max; o *= 10) {
-                ticks.push([o, '10' + (Math.round(Math.log(o)/Math.LN10)).toString().sup()]);
-                for (var i = 2; i < 10; i++) {
-                  ticks.push([o * i, '']);
-                }
-              }
-              ticks.push([max, '\u03c3(\u03c4)']);
-              return ticks;
-            }, 
-            transform: function (v) { 
-              if (v === 0) {
-                v = parseFloat('1e' + expmin);
-              }
-              return Math.log(v) / Math.LN10; 
-            },
-            inverseTransform: function (v) { return Math.Pow(10, v); }
-          }
-        }
+        model: model,
+        data: data,
+        coefficients: { a: coef.a, b: coef.b, c: coef.c },
+        drift: (data === 'x') ? curve(T) : slope(T),
+        residuals: residuals,
+        rms: Math.sqrt(sse / n)
       };
     },
 
     /**
-     * Standard Deviation of the dataset.
+     * New dataset with the drift removed.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} STDEV.
+     * The residuals of the fit become the phase or frequency data of the
+     * new dataset (the data that was fitted), whose lineage records this
+     * dataset.
+     *
+     * @param {String} model Drift model (see getDrift).
+     * @param {String} data Data to fit, 'x' or 'y' (see getDrift).
+     * @returns {Allan.Dataset} Drift-removed dataset.
      */
-    getStdev: function (m) {
-      var sum = 0,
-          len = this.y.length,
-          a;
-
-      m = m || 1;
+    removeDrift: function (model, data) {
+      var drift = this.getDrift(model, data),
+          d = this._derive(drift.model + ' drift removed');
 
-      if(this.values.stdev[m] === undefined) {
-        a = this.getFreqAvg(m);
-        for (var i = 0, v; i < len; i+=m) {
-          v = this._freqAvg(i, m) - a;
-          sum += v * v;
-        }
-        this.values.stdev[m] = Math.sqrt(sum / (len / m - 1));
+      if (drift.data === 'x') {
+        d.loadPhaseFromArray(drift.residuals);
+      } else {
+        d.loadFreqFromArray(drift.residuals);
       }
-      return this.values.stdev[m];
+      return d;
     },
 
     /**
-     * Allan Deviation of the dataset.
+     * Outlier detection on the frequency data using the median absolute
+     * deviation (MAD). A value is flagged when
      *
-     * Square root of AVAR:
+     * |y(i) - median(y)| > sigma · MAD / 0.6745
      *
-     *              1    N-2
-     * s²y(t) = -------- Σ   [ x(i+2) - 2x(i+1) + x(i) ]²
-     *          2t²(N-2) i=1
+     * where MAD / 0.6745 estimates the standard deviation of normal data.
+     * When at least half the values equal the median (MAD = 0, e.g.
+     * quantized or mostly constant data) there is no robust scale, and
+     * nothing is flagged.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} ADEV.
+     * @param {Number} sigma Threshold in robust standard deviations (5 by default).
+     * @returns {Object} median, mad, threshold (absolute deviation limit, undefined if MAD = 0), indices and values of the outliers.
      */
-    getAdev: function (m) {
-      var n = 0,
-          sum = 0;
+    getOutliers: function (sigma) {
+      var med = median(this.y),
+          dev = [],
+          mad,
+          threshold,
+          indices = [],
+          values = [];
 
-      m = m || 1;
+      sigma = sigma || OUTLIER_SIGMA;
 
-      if(this.values.adev[m] === undefined) {
-        for (var i = 0, len = this.x.length, v; i < len - 2 * m; i++) {
-          v = this.x[i + 2 * m] - 2 * this.x[i + m] + this.x[i];
-          sum += v * v;
-          n++;
+      for (var i = 0, len = this.y.length; i < len; i++) {
+        dev[i] = Math.abs(this.y[i] - med);
+      }
+      mad = median(dev);
+      threshold = (mad > 0) ? sigma * mad / 0.6745 : undefined;
+      for (var i = 0, len = this.y.length; threshold !== undefined && i < len; i++) {
+        if (dev[i] > threshold) {
+          indices.push(i);
+          values.push(this.y[i]);
         }
-        this.values.adev[m] = (n > MIN_SAMPLES) ? Math.sqrt(sum / (2 * n)) / m : 0;
       }
-      return this.values.adev[m];
+
+      return {
+        median: med,
+        mad: mad,
+        threshold: threshold,
+        indices: indices,
+        values: values
+      };
     },
 
     /**
-     * Overlapping Allan Deviation of the dataset.
+     * New dataset with the outliers of the frequency data removed.
      *
-     * Square root of overlapping AVAR:
+     * The phase data of the new dataset are rebuilt from the cleaned
+     * frequency data with freqToPhase.
      *
-     *              1     N-2m
-     * s²y(t) = --------- Σ   [ x(i+2m) - 2x(i+m) + x(i) ]²
-     *          2t²(N-2m) i=1
+     * @param {Number} sigma Threshold in robust standard deviations (5 by default).
+     * @param {String|Number} replacement 'gap' to leave missing samples (default), 'median' or a value to replace them with.
+     * @returns {Allan.Dataset} Dataset without outliers.
+     */
+    removeOutliers: function (sigma, replacement) {
+      var outliers = this.getOutliers(sigma),
+          y = this.y.slice(0),
+          value = NaN,
+          d = this._derive(outliers.indices.length + ' outliers removed');
+
+      if (replacement === 'median') {
+        value = outliers.median;
+      } else if (typeof replacement === 'number') {
+        value = replacement;
+      }
+      for (var i = 0, len = outliers.indices.length; i < len; i++) {
+        y[outliers.indices[i]] = value;
+      }
+      d.loadFreqFromArray(y);
+      return d;
+    },
+
+    /**
+     * Sets the phase and frequency data of a derived dataset as they are,
+     * keeping their gaps, and clears every computed value.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} OADEV.
+     * @private
+     * @param {Array} x Array of sequential time-error values.
+     * @param {Array} y Array of fractional frequency values (one less).
+     * @returns {Allan.Dataset} This dataset.
      */
-    getOadev: function (m) {
-      var n = 0,
-          sum = 0;
+    _setData: function (x, y) {
+      this.x = x;
+      this.y = y;
+      this._resetCache();
+      return this;
+    },
 
-      m = m || 1;
+    /**
+     * New dataset with a range of the data, by frequency sample index (the
+     * phase data keep one more sample). Negative indices count from the end,
+     * as in Array.prototype.slice.
+     *
+     * @param {Number} start First frequency sample (0 by default).
+     * @param {Number} end Frequency sample after the last one (the end of the data by default).
+     * @returns {Allan.Dataset} Dataset with the range.
+     */
+    slice: function (start, end) {
+      var len = this.y.length;
 
-      if(this.values.oadev[m] === undefined) {
-        for (var i = 0, len = this.x.length, v; i < len - 2 * m; i+=m) {
-          v = this.x[i + 2 * m] - 2 * this.x[i + m] + this.x[i];
-          sum += v * v;
-          n++;
-        }
-        this.values.oadev[m] = (n > MIN_SAMPLES) ? Math.sqrt(sum / (2 * n)) / m : 0;
-      }
-      return this.values.oadev[m];
+      start = (start === undefined) ? 0 : start;
+      end = (end === undefined) ? len : end;
+      start = Math.max(0, Math.min(len, (start < 0) ? len + start : start));
+      end = Math.max(start, Math.min(len, (end < 0) ? len + end : end));
+
+      return this._derive('samples ' + start + ' to ' + end)._setData(this.x.slice(start, end + 1), this.y.slice(start, end));
+    },
+
+    /**
+     * New dataset with a time range of the data, in seconds from the first
+     * sample (e.g. hours 3 to 10 as 3·3600 to 10·3600).
+     *
+     * @param {Number} from Start time in seconds (0 by default).
+     * @param {Number} to End time in seconds (the end of the data by default).
+     * @returns {Allan.Dataset} Dataset with the samples between both times.
+     */
+    sliceTime: function (from, to) {
+      var len = this.y.length,
+          start,
+          end;
+
+      from = from || 0;
+      to = (to === undefined) ? len * this.tau0 : to;
+      start = Math.max(0, Math.min(len, Math.ceil(from / this.tau0 - 1e-9)));
+      end = Math.max(start, Math.min(len, Math.floor(to / this.tau0 + 1e-9)));
+
+      return this._derive(from + ' s to ' + to + ' s')._setData(this.x.slice(start, end + 1), this.y.slice(start, end));
     },
 
     /**
-     * Modified Allan Deviation of the dataset.
-     *
-     * Square root of MVAR:
-     *
-     *                    1       N-3m+1   j+m-1
-     * Mod s²y(t) = ------------- Σ      { Σ   [x(i+2m) - 2x(i+m) + x(i) ] }²
-     *              2m²t²(N-3m+1) j=1      i=j
+     * New dataset with every factor-th phase sample, and tau0 multiplied by
+     * the factor. A frequency sample is a gap when any of the ones it spans
+     * was.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} MDEV.
-     * 
-     * Based on Tom Van Baak's unnested loops version
+     * @param {Number} factor Decimation factor.
+     * @returns {Allan.Dataset} Decimated dataset.
      */
-    getMdev: function (m) {
-      var n = 0,
-          sum = 0,
-          v = 0;
+    decimate: function (factor) {
+      var x = [],
+          y = [],
+          d,
+          gap;
 
-      m = m || 1;
-
-      if(this.values.mdev[m] === undefined) {
-        for (var i = 0, len = this.x.length; i < len - 2 * m && i < m; i++) {
-          v += this.x[i + 2 * m] - 2 * this.x[i + m] + this.x[i];
-        }
-        sum += v * v;
-        n++;
-        for (var i = 0, len = this.x.length; i < len - 3 * m; i++) {
-          v += this.x[i + 3 * m] - 3 * this.x[i + 2 * m] + 3 * this.x[i + m] - this.x[i];
-          sum += v * v;
-          n++;
+      if (!(factor > 0 && factor % 1 === 0)) {
+        throw new Error('The decimation factor must be a positive integer');
+      }
+      d = this._derive('decimated by ' + factor);
+      d.tau0 = this.tau0 * factor;
+      for (var i = 0, len = this.y.length; i <= len; i += factor) {
+        x.push(this.x[i]);
+      }
+      for (var k = 0; k + 1 < x.length; k++) {
+        gap = false;
+        for (var j = k * factor; j < (k + 1) * factor; j++) {
+          gap = gap || isNaN(this.y[j]);
         }
-        this.values.mdev[m] = (n > MIN_SAMPLES) ? Math.sqrt(sum / (2 * m * m * n)) / m : 0;
+        y.push(gap ? NaN : (x[k + 1] - x[k]) / d.tau0);
       }
-      return this.values.mdev[m];
+      return d._setData(x, y);
     },
 
     /**
-     * Time Deviation of the dataset.
-     *
-     * Square root of TVAR:
+     * New dataset with the frequency data averaged in blocks of factor
+     * samples, and tau0 multiplied by the factor. A block with a gap gives
+     * a gap, and a trailing incomplete block is dropped. The phase data are
+     * rebuilt from the averaged frequency with freqToPhase.
      *
-     * s²x(t) = (t²/3) · Mod s²y(t)
-     *
-     * @param {Number} m Averaging time.
-     * @returns {Number} TDEV.
+     * @param {Number} factor Averaging factor.
+     * @returns {Allan.Dataset} Averaged dataset.
      */
-    getTdev: function (m) {
-      var dev = 0;
+    average: function (factor) {
+      var y = [],
+          d;
 
-      m = m || 1;
-
-      if(this.values.tdev[m] === undefined) {
-        dev = this.getMdev(m);
-        this.values.tdev[m] = dev * m / Math.sqrt(3);
+      if (!(factor > 0 && factor % 1 === 0)) {
+        throw new Error('The averaging factor must be a positive integer');
+      }
+      d = this._derive('averaged by ' + factor);
+      d.tau0 = this.tau0 * factor;
+      for (var i = 0, len = this.y.length; i + factor <= len; i += factor) {
+        y.push(this._arrayAvg(i, factor, this.y));
       }
-      return this.values.tdev[m];
+      return d._setData(d.freqToPhase(y), y);
     },
 
     /**
-     * Hadamard Deviation of the dataset.
-     *
-     * Square root of HVAR:
-     *
-     *              1     N-3
-     * Hs²y(t) = -------- Σ   [ x(i+3) - 3x(i+2) + 3x(i+1) - x(i) ]²
-     *           6t²(N-3) i=1
+     * New dataset with the run of another dataset appended, optionally
+     * after some missing samples. The phase of the second run is offset to
+     * continue from the first one (bridging the missing samples with the
+     * mean frequency, as freqToPhase does).
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} HDEV.
+     * @param {Allan.Dataset} other Dataset to append, with the same tau0.
+     * @param {Number} gap Number of missing frequency samples between both runs (0 by default).
+     * @returns {Allan.Dataset} Concatenated dataset.
      */
-    getHdev: function (m) {
-      var n = 0,
-          sum = 0;
+    concat: function (other, gap) {
+      var d = this._derive('concatenated with ' + other.name),
+          x = (this.x.length > 0) ? this.x.slice(0) : [0],
+          y = [],
+          avg = 0,
+          n = 0,
+          p = x.length - 1,
+          q = 0,
+          end,
+          offset;
 
-      m = m || 1;
+      if (other.tau0 !== this.tau0) {
+        throw new Error('Datasets must have the same sampling interval');
+      }
+      d.lineage.push({ id: other.id, name: other.name, operation: 'concatenated' });
+      gap = gap || 0;
 
-      if(this.values.hdev[m] === undefined) {
-        for (var i = 0, len = this.x.length, v; i < len - 3 * m; i++) {
-          v = this.x[i + 3 * m] - 3 * this.x[i + 2 * m] + 3 * this.x[i + m] - this.x[i];
-          sum += v * v;
+      for (var i = 0; i < gap; i++) {
+        y.push(NaN);
+      }
+      y = this.y.concat(y, other.y);
+      for (var i = 0; i < y.length; i++) {
+        if (!isNaN(y[i])) {
+          avg += y[i];
           n++;
         }
-        this.values.hdev[m] = (n > MIN_SAMPLES) ? Math.sqrt(sum / (6 * n)) / m : 0;
       }
-      return this.values.hdev[m];
+      avg = n ? avg / n : 0;
+      // Join at the last and first known phase values, bridging what is missing around them with the mean frequency
+      while (p > 0 && isNaN(x[p])) {
+        p--;
+      }
+      while (q < other.x.length - 1 && isNaN(other.x[q])) {
+        q++;
+      }
+      end = (isNaN(x[p]) ? 0 : x[p]) + (x.length - 1 - p) * avg * this.tau0;
+      for (var i = 1; i <= gap; i++) {
+        x.push(end + i * avg * this.tau0);
+      }
+      offset = end + (gap + q) * avg * this.tau0 - other.x[q];
+      for (var i = 1; i < other.x.length; i++) {
+        x.push(other.x[i] + offset);
+      }
+      return d._setData(x, y);
     },
 
     /**
-     * Overlapping Hadamard Deviation of the dataset.
-     *
-     * Square root of overlapping HVAR:
-     *
-     *              1      N-3m
-     * Hs²y(t) = --------- Σ   [ x(i+3m) - 3x(i+2m) + 3x(i+m) - x(i) ]²
-     *           6t²(N-3m) i=1
+     * New dataset with the phase difference between this dataset and
+     * another one (e.g. two clocks against the same reference), over their
+     * common length. A gap in either is a gap in the difference.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} HDEV.
+     * @param {Allan.Dataset} other Dataset to subtract, with the same tau0.
+     * @returns {Allan.Dataset} Dataset of this - other.
      */
-    getOhdev: function (m) {
-      var n = 0,
-          sum = 0;
+    difference: function (other) {
+      var d = this._derive('minus ' + other.name),
+          x = [],
+          y = [],
+          len = Math.min(this.y.length, other.y.length);
 
-      m = m || 1;
+      if (other.tau0 !== this.tau0) {
+        throw new Error('Datasets must have the same sampling interval');
+      }
+      d.lineage.push({ id: other.id, name: other.name, operation: 'subtracted' });
 
-      if(this.values.ohdev[m] === undefined) {
-        for (var i = 0, len = this.x.length, v; i < len - 3 * m; i+=m) {
-          v = this.x[i + 3 * m] - 3 * this.x[i + 2 * m] + 3 * this.x[i + m] - this.x[i];
-          sum += v * v;
-          n++;
-        }
-        this.values.ohdev[m] = (n > MIN_SAMPLES) ? Math.sqrt(sum / (6 * n)) / m : 0;
+      for (var i = 0; i <= len; i++) {
+        x.push(this.x[i] - other.x[i]);
+      }
+      for (var i = 0; i < len; i++) {
+        y.push(this.y[i] - other.y[i]);
       }
-      return this.values.ohdev[m];
+      return d._setData(x, y);
     },
 
     /**
-     * Total Deviation of the dataset.
-     *
-     * Square root of TOTVAR:
+     * Checks the cached values of an estimator against a compliance mask.
      *
-     *                  1    N-1
-     * s²total(t) = -------- Σ   [ x*(i-m) - 2x*(i) + x*(i+m) ]²
-     *              2t²(N-2) i=2
+     * Only taus within the mask range are checked. The margin is the ratio
+     * limit / value, so a margin below 1 fails the mask.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} TOTDEV.
+     * @param {Allan.Mask|String} mask Mask, or the name of a built-in one (e.g. 'G.811 TDEV').
+     * @returns {Object} Mask name, estimator, overall pass, worst margin and its tau, and per-tau results (tau, value, limit, margin, pass).
      */
-    getTotdev: function (m) {
-      var n = 0,
-          e = 0,
-          sum = 0,
-          len = this.x.length,
-          nx = this.x.slice(0);
+    checkMask: function (mask) {
+      var results = [],
+          worst,
+          values,
+          limit,
+          tau;
 
-      m = m || 1;
+      mask = (typeof mask === 'string') ? Allan.masks[mask] : mask;
+      values = this.values[mask.dev];
 
-      if(this.values.totdev[m] === undefined) {
-        for (var i = 1; i < len - 1; i++) {
-          nx.unshift(2 * this.x[0] - this.x[i]);
-          nx.push(2 * this.x[len - 1] - this.x[len - 1 - i]);
-          e++;
+      for (var val in values) {
+        tau = parseFloat(val);
+        limit = mask.getLimit(tau);
+        if (values[val] && limit !== undefined) {
+          results.push({
+            tau: tau,
+            value: values[val],
+            limit: limit,
+            margin: limit / values[val],
+            pass: values[val] <= limit
+          });
         }
-        if (e + len + m - 1 <= 3 * len - 4) {
-          for (var i = 1, v; i < len - 1; i++) {
-            v = nx[e + i - m] - 2 * nx[e + i] + nx[e + i + m];
-            sum += v * v;
-            n++;
+      }
+      results.sort(function (a, b) { return a.tau - b.tau; });
+      for (var i = 0; i < results.length; i++) {
+        if (!worst || results[i].margin < worst.margin) {
+          worst = results[i];
+        }
+      }
+
+      return {
+        mask: mask.name,
+        dev: mask.dev,
+        pass: worst !== undefined && worst.pass, // No value within the mask range does not pass
+        margin: worst ? worst.margin : undefined,
+        tau: worst ? worst.tau : undefined,
+        results: results
+      };
+    }
+  };
+
+  /**
+   * Restores a serialized dataset, with its computed values, so nothing
+   * has to be computed again.
+   *
+   * The dataset gets a new id, so it cannot clash with one of this
+   * session, and its lineage records the saved id as restoredFrom.
+   *
+   * @param {String|Object} data JSON text (or parsed object) from Allan.Dataset.prototype.serialize.
+   * @returns {Allan.Dataset} Restored dataset.
+   */
+  Allan.Dataset.restore = function (data) {
+    var d,
+        toNaN = function (a) {
+          for (var i = 0, len = a.length; i < len; i++) {
+            a[i] = (a[i] === null) ? NaN : a[i];
           }
-          sum /= 2;
+          return a;
+        };
+
+    data = (typeof data === 'string') ? JSON.parse(data) : data;
+    if (!data || data.format !== 'allanjs-dataset') {
+      throw new Error('Not a serialized Allan.js dataset');
+    }
+    if (!(data.version <= SERIALIZATION_VERSION)) {
+      throw new Error('Unsupported dataset version ' + data.version + ' (up to ' + SERIALIZATION_VERSION + ')');
+    }
+
+    d = new Allan.Dataset(data.name, data.tau0);
+    d.nominal = data.nominal || 0;
+    d.units = data.units || d.units;
+    d.lineage = (data.lineage || []).concat([{ restoredFrom: data.id, name: data.name, operation: 'restored' }]);
+    d.metadata = data.metadata || {};
+    d.x = toNaN(data.x || []);
+    d.y = toNaN(data.y || []);
+    // Keep the current keys, so values of estimators added since the dataset was saved start empty
+    for (var dev in data.values) {
+      d.values[dev] = data.values[dev];
+      for (var tau in d.values[dev]) {
+        d.values[dev][tau] = (d.values[dev][tau] === null) ? NaN : d.values[dev][tau];
+      }
+    }
+    for (var dev in data.counts) {
+      d.counts[dev] = data.counts[dev];
+    }
+    return d;
+  };
+
+  /**
+   * Simulates a dataset with power-law noise, for checking analyses
+   * against theory.
+   *
+   * Each noise type is generated with the Kasdin and Walter method from
+   * its level h_alpha, where S_y(f) = h_alpha·f^alpha. The white noise
+   * filtered for the phase spectrum S_x(f) ∝ f^(alpha - 2) has variance:
+   *
+   *       h_alpha·τ0^(1 - alpha)
+   * Q = ----------------------
+   *          2·(2π)^alpha
+   *
+   * The same seed gives the same data on every machine: the generator,
+   * logarithms and FFT use only basic arithmetic and square roots.
+   *
+   * @param {Object} options samples (1024 by default), tau0 (1 s by default), h (levels by alpha exponent,
+   *                         e.g. { '2': 1e-20, '0': 1e-22 }), drift (fractional frequency per second),
+   *                         seed (integer or string, random by default) and name.
+   * @returns {Allan.Dataset} Dataset with the simulated phase data (in seconds); the settings are kept in metadata.
+   */
+  Allan.Dataset.simulate = function (options) {
+    var N,
+        tau0,
+        h,
+        seed,
+        rng,
+        a,
+        noise,
+        x,
+        d,
+        TWO_PI = 6.283185307179586;
+
+    options = options || {};
+    N = options.samples || 1024;
+    tau0 = options.tau0 || 1;
+    h = options.h || { '0': 1 };
+    seed = (options.seed !== undefined) ? options.seed : Math.floor(Math.random() * 4294967296);
+    rng = new Allan.Random(seed);
+    x = [];
+    for (var i = 0; i < N; i++) {
+      x[i] = (options.drift || 0) * (i * tau0) * (i * tau0) / 2;
+    }
+    // Fixed order, so a seed gives the same data whatever the order of the keys in h
+    for (var alpha = 2; alpha >= -2; alpha--) {
+      if (h[alpha]) {
+        a = 2 - alpha;
+        noise = kasdinNoise(rng, N, a, h[alpha] * intPow(tau0, 1 - alpha) / (2 * intPow(TWO_PI, alpha)));
+        for (var i = 0; i < N; i++) {
+          x[i] += noise[i];
         }
-        this.values.totdev[m] = (n > MIN_SAMPLES) ? Math.sqrt(sum / n) / m : 0;
       }
-      return this.values.totdev[m];
-    },
+    }
+
+    d = new Allan.Dataset(options.name || 'Simulated noise (seed ' + seed + ')', tau0);
+    d.loadPhaseFromArray(x);
+    d.metadata = {
+      format: 'simulation',
+      seed: seed,
+      h: h,
+      drift: options.drift || 0,
+      tau0: tau0
+    };
+    return d;
+  };
+
+  /**
+   * N-cornered hat: separates the stability of N oscillators from the
+   * pairwise measurements between them.
+   *
+   * The variance of a difference of independent oscillators is the sum
+   * of their variances, so for every tau:
+   *
+   * σ²(i - j) = σ²(i) + σ²(j)
+   *
+   * which is solved by least squares over all the pairs (exactly for three
+   * oscillators). With all the pairs measured:
+   *
+   *            1     /             1                 \
+   * σ²(i) = ----- · | Σ σ²(i - j) - ----- · Σ σ²(j - k) |
+   *          N - 2   \  j           N - 1  j<k        /
+   *
+   * Noise correlated between oscillators, or too few terms, can give
+   * negative variances. These are kept, with a NaN deviation, and reported
+   * as negative. Taus where the pairs with a valid variance don't determine
+   * every oscillator (fewer than N of them, or not linking all of them) are
+   * skipped.
+   *
+   * AVAR and HVAR use the overlapping estimators (OADEV and OHDEV), which
+   * have more degrees of freedom; ask for ADEV or HDEV for the
+   * non-overlapping ones.
+   *
+   * @param {Array} pairs Pairwise measurements as { a: 'A', b: 'B', dataset: Allan.Dataset } with the data of a - b.
+   * @param {String} dev Estimator (e.g. 'AVAR', 'MVAR', 'HVAR', or the deviation names, like 'OADEV').
+   * @param {String|Array} spacing Tau spacing (see Allan.Dataset.prototype.getAveragingFactors), octave by default.
+   * @returns {Object} oscillators (Array of names), dev (estimator), table (Arrays of rows with tau, m, variance,
+   *                   value, n and negative, indexed by oscillator) and negative (Array of oscillator, tau and variance).
+   */
+  Allan.nCorneredHat = function (pairs, dev, spacing) {
+    var name = HAT_VARIANCES[dev.toLowerCase()] || dev.toLowerCase().replace(/var$/, 'dev'),
+        oscillators = [],
+        index = {},
+        table = {},
+        negative = [],
+        max = Infinity,
+        ms,
+        tau,
+        v,
+        n,
+        o,
+        valid,
+        fit;
+
+    if (!ESTIMATORS[name] || name === 'mtie' || name === 'tierms') {
+      throw new Error('Unsupported estimator for the cornered hat: ' + dev);
+    }
+    for (var i = 0; i < pairs.length; i++) {
+      if (pairs[i].dataset.tau0 !== pairs[0].dataset.tau0) {
+        throw new Error('Pairwise datasets must have the same sampling interval');
+      }
+      for (var k = 0; k < 2; k++) {
+        o = k ? pairs[i].b : pairs[i].a;
+        if (index[o] === undefined) {
+          index[o] = oscillators.length;
+          oscillators.push(o);
+          table[o] = [];
+        }
+      }
+      max = Math.min(max, pairs[i].dataset.getMaxAveragingFactor(name));
+    }
+    if (oscillators.length < 3 || pairs.length < oscillators.length) {
+      throw new Error('At least as many pairs as oscillators (and three oscillators) are needed');
+    }
+
+    ms = pairs[0].dataset.getAveragingFactors(spacing || 'octave', max);
+    for (var j = 0; j < ms.length; j++) {
+      tau = pairs[0].dataset.getTau(ms[j], name);
+      v = [];
+      n = Infinity;
+      valid = 0;
+      for (var i = 0; i < pairs.length; i++) {
+        v[i] = Math.pow(pairs[i].dataset[ESTIMATORS[name]](ms[j]), 2);
+        v[i] = v[i] ? v[i] : NaN; // Not computed
+        n = Math.min(n, pairs[i].dataset.counts[name][tau] || 0);
+        valid += isNaN(v[i]) ? 0 : 1;
+      }
+      if (valid < oscillators.length) {
+        continue;
+      }
+      fit = leastSquares(function (i) {
+        var r = [];
+        for (var k = 0; k < oscillators.length; k++) {
+          r[k] = (k === index[pairs[i].a] || k === index[pairs[i].b]) ? 1 : 0;
+        }
+        return r;
+      }, v);
+      if (fit.coef.length === 0) {
+        continue;
+      }
+      for (var k = 0; k < oscillators.length; k++) {
+        table[oscillators[k]].push({
+          tau: tau,
+          m: ms[j],
+          variance: fit.coef[k],
+          value: Math.sqrt(fit.coef[k]),
+          n: n,
+          negative: fit.coef[k] < 0
+        });
+        if (fit.coef[k] < 0) {
+          negative.push({ oscillator: oscillators[k], tau: tau, variance: fit.coef[k] });
+        }
+      }
+    }
+
+    return {
+      oscillators: oscillators,
+      dev: name,
+      table: table,
+      negative: negative
+    };
+  };
+
+  /**
+   * Three-cornered hat: stability of oscillators A, B and C from their
+   * pairwise measurements (see Allan.nCorneredHat).
+   *
+   * σ²(A) = ½·[σ²(A - B) + σ²(A - C) - σ²(B - C)]
+   *
+   * @param {Allan.Dataset} ab Data of A - B.
+   * @param {Allan.Dataset} ac Data of A - C.
+   * @param {Allan.Dataset} bc Data of B - C.
+   * @param {String} dev Estimator (e.g. 'AVAR', 'MVAR' or 'HVAR', see Allan.nCorneredHat).
+   * @param {String|Array} spacing Tau spacing, octave by default.
+   * @returns {Object} Result of Allan.nCorneredHat, with oscillators 'A', 'B' and 'C'.
+   */
+  Allan.threeCorneredHat = function (ab, ac, bc, dev, spacing) {
+    return Allan.nCorneredHat([
+      { a: 'A', b: 'B', dataset: ab },
+      { a: 'A', b: 'C', dataset: ac },
+      { a: 'B', b: 'C', dataset: bc }
+    ], dev, spacing);
+  };
+
+  /**
+   * Converts a spectral density between phase (S_x), fractional frequency
+   * (S_y), phase in radians (S_φ) and single-sideband phase noise ℒ(f):
+   *
+   * S_y(f) = (2πf)²·S_x(f)
+   * S_φ(f) = (2πν0)²·S_x(f)
+   * ℒ(f) = 10·log10(S_φ(f) / 2)  [dBc/Hz]
+   *
+   * @param {Object} spectrum Density with type ('x', 'y', 'phi' or 'L'), f (Array of frequencies in Hz) and psd (Array), e.g. from Allan.Dataset.prototype.getPsd.
+   * @param {String} to Type to convert to ('x', 'y', 'phi' or 'L').
+   * @param {Number} carrier Carrier frequency ν0 in Hz (needed for 'phi' and 'L').
+   * @returns {Object} Copy of the spectrum with the converted type and psd, and the carrier.
+   */
+  Allan.convertPsd = function (spectrum, to, carrier) {
+    var result = {},
+        phase = 2 * Math.PI * carrier,
+        sx;
+
+    if (!SPECTRA[spectrum.type] || !SPECTRA[to]) {
+      throw new Error('Unknown spectral density: ' + (SPECTRA[to] ? spectrum.type : to));
+    }
+    if (!carrier && (spectrum.type === 'phi' || spectrum.type === 'L' || to === 'phi' || to === 'L')) {
+      throw new Error('A carrier frequency is needed for S_phi(f) and L(f)');
+    }
+    for (var key in spectrum) {
+      result[key] = spectrum[key];
+    }
+    result.type = to;
+    result.carrier = carrier;
+    result.psd = [];
+    for (var i = 0; i < spectrum.f.length; i++) {
+      switch (spectrum.type) {
+        case 'y': sx = spectrum.psd[i] / Math.pow(2 * Math.PI * spectrum.f[i], 2); break;
+        case 'phi': sx = spectrum.psd[i] / (phase * phase); break;
+        case 'L': sx = 2 * Math.pow(10, spectrum.psd[i] / 10) / (phase * phase); break;
+        default: sx = spectrum.psd[i];
+      }
+      switch (to) {
+        case 'y': result.psd[i] = sx * Math.pow(2 * Math.PI * spectrum.f[i], 2); break;
+        case 'phi': result.psd[i] = sx * phase * phase; break;
+        case 'L': result.psd[i] = 10 * Math.log(sx * phase * phase / 2) / Math.LN10; break;
+        default: result.psd[i] = sx;
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Approximate deviation of a power-law noise S_y(f) = h·f^alpha, with a
+   * cutoff at the Nyquist frequency 1 / 2τ0.
+   *
+   * @param {String} dev Estimator: 'ADEV', 'OADEV', 'MDEV', 'TDEV', 'HDEV' or 'OHDEV'.
+   * @param {Number} alpha Power-law noise exponent (2 white PM, 1 flicker PM, 0 white FM, -1 flicker FM, -2 random walk FM).
+   * @param {Number} h Noise level h_alpha.
+   * @param {Number} tau Averaging time in seconds.
+   * @param {Number} tau0 Sampling interval in seconds (1 by default).
+   * @returns {Number} Deviation (in seconds for TDEV).
+   */
+  Allan.noiseToDeviation = function (dev, alpha, h, tau, tau0) {
+    return Math.sqrt(h * noiseVariance(dev.toLowerCase().replace(/var$/, 'dev'), alpha, tau, tau0 || 1));
+  };
+
+  /**
+   * Approximate power-law noise level h_alpha, with S_y(f) = h·f^alpha,
+   * giving a deviation at an averaging time (inverse of Allan.noiseToDeviation).
+   *
+   * @param {String} dev Estimator: 'ADEV', 'OADEV', 'MDEV', 'TDEV', 'HDEV' or 'OHDEV'.
+   * @param {Number} alpha Power-law noise exponent (-2 to 2).
+   * @param {Number} sigma Deviation (in seconds for TDEV).
+   * @param {Number} tau Averaging time in seconds.
+   * @param {Number} tau0 Sampling interval in seconds (1 by default).
+   * @returns {Number} Noise level h_alpha.
+   */
+  Allan.deviationToNoise = function (dev, alpha, sigma, tau, tau0) {
+    return sigma * sigma / noiseVariance(dev.toLowerCase().replace(/var$/, 'dev'), alpha, tau, tau0 || 1);
+  };
+
+  /**
+   * The compliance Mask constructor.
+   *
+   * Masks are piecewise limit curves for an estimator, given as (tau, limit)
+   * breakpoints and interpolated linearly in log-log scale between them.
+   *
+   * @constructor
+   * @param {String} name A name to identify the mask.
+   * @param {String} dev Estimator the mask applies to (e.g. 'TDEV').
+   * @param {Array} points Breakpoints as [tau, limit] pairs, tau in seconds and limit in the estimator units.
+   */
+  Allan.Mask = function (name, dev, points) {
+    this.name = name;
+    this.dev = dev.toLowerCase();
+    this.points = points.slice(0).sort(function (a, b) { return a[0] - b[0]; });
+    return this;
+  };
+
+  Allan.Mask.prototype = {
+    name: '',    // {String} custom description of the mask
+    dev: '',     // {String} estimator the mask applies to
+    points: [],  // {Array}  [tau, limit] breakpoints, sorted by tau
 
     /**
-     * Modified Total Deviation of the dataset.
-     *
-     * Square root of MTOTVAR:
-     *
-     *                         1       N-3m+1    1   n+3m-1
-     * Mod s²total(t) = -------------- Σ      { ---  Σ      [0zi*(m)]² }
-     *                  2m²t0²(N-3m+1) n=1       6m  i=n-3m
+     * Mask limit at an averaging time.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} MTOTDEV.
+     * @param {Number} tau Averaging time in seconds.
+     * @returns {Number} Limit, or undefined outside the mask range.
      */
-    getMtotdev: function (m) {
-      var n,
-          sum = 0,
-          len = this.x.length,
-          half = Math.floor((3 * m + 1) / 2),
-          f,
-          nx,
-          zx,
-          d = 0,
-          bias = 0.73; // Bias factor for white FM noise
-
-      m = m || 1;
+    getLimit: function (tau) {
+      var p = this.points,
+          r;
 
-      if(this.values.mtotdev[m] === undefined) {
-        for (n = 0; n < len - 3 * m + 1; n++) {
-          // Generate 0zi*(m)
-          f = 0;
-          for (var i = 0, h = Math.floor(3 * m / 2); i < h; i++) {
-            f += (this.x[n + i + half] - this.x[n + i]) / half;
-          }
-          f /= i;
-          zx = [];
-          for (var i = 0; i <= 3 * m - 1; i++) {
-            zx[i] = this.x[n + i] - f * i;
-          }
-          nx = [];
-          for (var i = 0; i <= 3 * m - 1; i++) {
-            nx[n + i] = zx[3 * m - i - 1];
-            nx[n + 3 * m + i] = zx[i];
-            nx[n + 6 * m + i] = zx[3 * m - i - 1];
-          }
-          // Calculate MTOTDEV
-          sum = 0;
-          for (var i = n - 3 * m, av1, av2, av3; i <= n + 3 * m - 1; i++) {
-            av1 = 0;
-            av2 = 0;
-            av3 = 0;
-            for (var j = 0; j < m; j++) {
-              av1 += nx[i + 3 * m + j];
-              av2 += nx[i + 3 * m + m + j];
-              av3 += nx[i + 3 * m + 2 * m + j];
-            }
-            av1 /= m;
-            av2 /= m;
-            av3 /= m;
-            v = av1 - 2 * av2 + av3;
-            sum += v * v;
+      for (var i = 0; i < p.length - 1; i++) {
+        if (tau >= p[i][0] && tau <= p[i + 1][0]) {
+          if (p[i + 1][0] === p[i][0]) {
+            return Math.min(p[i][1], p[i + 1][1]);
           }
-          d += sum / 6 * m;
+          r = Math.log(tau / p[i][0]) / Math.log(p[i + 1][0] / p[i][0]);
+          return p[i][1] * Math.pow(p[i + 1][1] / p[i][1], r);
         }
-        d /= 2 * (len - 3 * m + 1);
-        this.values.mtotdev[m] = (n > MIN_SAMPLES) ? Math.sqrt(d / bias) / (m * m): 0;
       }
-      return this.values.mtotdev[m];
-    },
+      return (p.length === 1 && tau === p[0][0]) ? p[0][1] : undefined;
+    }
+  };
+
+  /**
+   * Built-in ITU-T wander generation masks (limits in seconds).
+   *
+   * G.811 primary reference clocks, G.812 type I clocks (constant
+   * temperature) and G.8262 option 1 synchronous Ethernet clocks.
+   */
+  Allan.masks = {
+    'G.811 MTIE': new Allan.Mask('G.811 MTIE', 'MTIE', maskCurve([
+      [0.1, 1000, function (t) { return (0.275e-3 * t + 0.025) * 1e-6; }],
+      [1000, 1e5, function (t) { return (1e-5 * t + 0.29) * 1e-6; }]
+    ])),
+    'G.811 TDEV': new Allan.Mask('G.811 TDEV', 'TDEV', [
+      [0.1, 3e-9], [100, 3e-9], [1000, 30e-9], [10000, 30e-9]
+    ]),
+    'G.812 MTIE': new Allan.Mask('G.812 MTIE', 'MTIE', [
+      [0.1, 24e-9], [9, 24e-9], [400, 160e-9], [1e5, 160e-9]
+    ]),
+    'G.812 TDEV': new Allan.Mask('G.812 TDEV', 'TDEV', [
+      [0.1, 3e-9], [25, 3e-9], [100, 12e-9], [10000, 12e-9]
+    ]),
+    'G.8262 MTIE': new Allan.Mask('G.8262 MTIE', 'MTIE', [
+      [0.1, 0.25e-6], [2.5, 0.25e-6], [20, 2e-6], [2000, 2e-6], [1e5, 100e-6]
+    ]),
+    'G.8262 TDEV': new Allan.Mask('G.8262 TDEV', 'TDEV', maskCurve([
+      [0.1, 17.14, function () { return 12e-9; }],
+      [17.14, 100, function (t) { return 0.7 * t * 1e-9; }],
+      [100, 1000, function (t) { return (58 + 1.2 * Math.sqrt(t) + 0.0003 * t) * 1e-9; }]
+    ]))
+  };
+
+  /**
+   * The seedable random number generator (xoshiro128**).
+   *
+   * It uses 32-bit integer operations only, so a seed gives the same
+   * sequence on every machine and JavaScript engine.
+   *
+   * @constructor
+   * @param {Number|String} seed Integer or string seed.
+   */
+  Allan.Random = function (seed) {
+    var z = 0,
+        t;
+
+    if (typeof seed === 'string') { // FNV-1a hash
+      z = 0x811c9dc5;
+      for (var i = 0; i < seed.length; i++) {
+        z = Math.imul(z ^ seed.charCodeAt(i), 0x01000193);
+      }
+    } else {
+      z = seed >>> 0;
+    }
+    this.seed = seed;
+    this.state = [];
+    for (var i = 0; i < 4; i++) { // splitmix32 spreads the seed over the state
+      z = (z + 0x9e3779b9) | 0;
+      t = z ^ (z >>> 16);
+      t = Math.imul(t, 0x21f0aaad);
+      t ^= t >>> 15;
+      t = Math.imul(t, 0x735a2d97);
+      this.state[i] = t ^ (t >>> 15);
+    }
+    this.spare = undefined;
+    return this;
+  };
+
+  Allan.Random.prototype = {
+    seed: 0,            // {Number|String} seed of the generator
+    state: [],          // {Array}  four 32-bit words of state
+    spare: undefined,   // {Number} second normal value of the last pair
 
     /**
-     * Time Total Deviation of the dataset.
-     *
-     * Square root of TTOTVAR:
-     *
-     * Total s²x(t) = (t²/3) · Mod s²total(t) 
+     * Next 32-bit unsigned integer.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} TTOTDEV.
+     * @returns {Number} Integer in [0, 2^32).
      */
-    getTtotdev: function (m) {
-      var dev = 0;
-
-      m = m || 1;
+    nextInt: function () {
+      var s = this.state,
+          rotl = function (v, k) { return (v << k) | (v >>> (32 - k)); },
+          r = Math.imul(rotl(Math.imul(s[1], 5), 7), 9),
+          t = s[1] << 9;
 
-      if(this.values.ttotdev[m] === undefined) {
-        dev = this.getMtotdev(m);
-        this.values.ttotdev[m] = dev * m / Math.sqrt(3);
-      }
-      return this.values.ttotdev[m];
+      s[2] ^= s[0];
+      s[3] ^= s[1];
+      s[1] ^= s[2];
+      s[0] ^= s[3];
+      s[2] ^= t;
+      s[3] = rotl(s[3], 11);
+      return r >>> 0;
     },
 
     /**
-     * Hadamard Total Deviation of the dataset.
-     *
-     * Square root of HTOTVAR:
-     *
-     *                     1     N-3m+1    1   n+3m-1
-     * Total Hs²y(t) = --------- Σ      { ---  Σ      [Hi(m)]² }
-     *                 6(N-3m+1) n=1       6m  i=n-3m
+     * Next uniform value, with 53 random bits.
      *
-     * @param {Number} m Averaging time.
-     * @returns {Number} HTOTDEV.
+     * @returns {Number} Value in [0, 1).
      */
-    getHtotdev: function (m) {
-      var n,
-          sum = 0,
-          len = this.y.length,
-          half = Math.floor((3 * m + 1) / 2),
-          f,
-          ny,
-          zy,
-          d = 0;
+    next: function () {
+      return ((this.nextInt() >>> 5) * 67108864 + (this.nextInt() >>> 6)) / 9007199254740992;
+    },
 
-      m = m || 1;
+    /**
+     * Next standard normal value (Marsaglia polar method).
+     *
+     * @returns {Number} Normal value with mean 0 and variance 1.
+     */
+    normal: function () {
+      var u,
+          v,
+          s,
+          f;
 
-      if(this.values.htotdev[m] === undefined) {
-        for (n = 0; n < len - 3 * m + 1; n++) {
-          // Generate Hi*(m)
-          f = 0;
-          for (var i = 0, h = Math.floor(3 * m / 2); i < h; i++) {
-            f += (this.y[n + i + half] - this.y[n + i]) / half;
-          }
-          f /= i;
-          zy = [];
-          for (var i = 0; i <= 3 * m - 1; i++) {
-            zy[i] = this.y[n + i] - f * i;
-          }
-          ny = [];
-          for (var i = 0; i <= 3 * m - 1; i++) {
-            ny[n + i] = zy[3 * m - i - 1];
-            ny[n + 3 * m + i] = zy[i];
-            ny[n + 6 * m + i] = zy[3 * m - i - 1];
-          }
-          // Calculate HTOTDEV
-          sum = 0;
-          for (var i = n - 3 * m, av1, av2, av3; i <= n + 3 * m - 1; i++) {
-            av1 = 0;
-            av2 = 0;
-            av3 = 0;
-            for (var j = 0; j < m; j++) {
-              av1 += ny[i + 3 * m + j];
-              av2 += ny[i + 3 * m + m + j];
-              av3 += ny[i + 3 * m + 2 * m + j];
-            }
-            av1 /= m;
-            av2 /= m;
-            av3 /= m;
-            v = av1 - 2 * av2 + av3;
-            sum += v * v;
-          }
-          d += sum / 6 * m;
-        }
-        d /= 6 * (len - 3 * m + 1);
-        this.values.htotdev[m] = (n > MIN_SAMPLES) ? Math.sqrt(d): 0;
+      if (this.spare !== undefined) {
+        f = this.spare;
+        this.spare = undefined;
+        return f;
       }
-      return this.values.htotdev[m];
+      do {
+        u = 2 * this.next() - 1;
+        v = 2 * this.next() - 1;
+        s = u * u + v * v;
+      } while (s >= 1 || s === 0);
+      f = Math.sqrt(-2 * exactLog(s) / s);
+      this.spare = v * f;
+      return u * f;
     }
   };
 
-  root['Allan'] = Allan;
+  // CommonJS (Node.js), re-exported by allan.mjs for ES modules; a global everywhere else
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Allan;
+  } else {
+    root['Allan'] = Allan;
+  }
+
+  // Worker side of computeAsync: only worker_threads or Web Workers started
+  // by it answer computation requests, other workers loading allan.js do not
+  if (typeof module !== 'undefined' && module.exports) {
+    var threads;
+    try {
+      threads = nodeRequire('worker_threads');
+    } catch (e) {
+      threads = null;
+    }
+    if (threads && !threads.isMainThread && threads.workerData && threads.workerData.allanjs) {
+      threads.parentPort.on('message', function (msg) {
+        runJobs(msg, function (reply) {
+          threads.parentPort.postMessage(reply);
+        });
+      });
+    }
+  } else if (typeof importScripts === 'function' && typeof window === 'undefined' && root.name === WORKER_NAME) {
+    root.addEventListener('message', function (e) {
+      if (e.data && e.data.allanjs === 'run') {
+        runJobs(e.data, function (reply) {
+          root.postMessage(reply);
+        });
+      }
+    });
+  }
 
-})(typeof window!=='undefined' ? window : global);
+})(typeof window!=='undefined' ? window : (typeof self!=='undefined' ? self : global));
 
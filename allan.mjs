@@ -0,0 +1,20 @@
+/*!
+ * Allan.js v0.1, ES module entry point for Node.js (bundlers get allan.js)
+ *
+ * Available under MIT license.
+ */
+
+import { createRequire } from 'module';
+
+const Allan = createRequire(import.meta.url)('./allan.js');
+
+export const Dataset = Allan.Dataset;
+export const Mask = Allan.Mask;
+export const masks = Allan.masks;
+export const nCorneredHat = Allan.nCorneredHat;
+export const threeCorneredHat = Allan.threeCorneredHat;
+export const convertPsd = Allan.convertPsd;
+export const noiseToDeviation = Allan.noiseToDeviation;
+export const deviationToNoise = Allan.deviationToNoise;
+export const Random = Allan.Random;
+export default Allan;